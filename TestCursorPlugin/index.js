@@ -2,11 +2,18 @@ console.log("✅ TestCursorPlugin loaded");
 
 const { app } = require("photoshop");
 const { batchPlay } = require('photoshop').action;
+const { constants } = require('photoshop');
 const fs = require('uxp').storage.localFileSystem;
 const formats = require('uxp').storage.formats;
 
+// Buffered log of the current processing run; flushed to log.txt when it ends
+let runLog = null;
+
 // Define log function
 function log(message) {
+    if (runLog) {
+        runLog.entries.push({ time: new Date().toISOString(), row: runLog.row, message: String(message) });
+    }
     const logPanel = document.getElementById('logPanel');
     if (logPanel) {
         const logEntry = document.createElement('div');
@@ -18,6 +25,44 @@ function log(message) {
     console.log(message);
 }
 
+// Start capturing log() calls for a run of the given tab
+function startRunLog(tab) {
+    runLog = { tab, startedAt: new Date().toISOString(), row: null, entries: [] };
+    return runLog;
+}
+
+// Append the buffered run log to log.txt in the output folder and stop capturing.
+// Called when a run completes, is stopped or fails.
+async function flushRunLog(outputFolder, outcome) {
+    const current = runLog;
+    runLog = null;
+    if (!current) {
+        return;
+    }
+    if (!outputFolder) {
+        console.log(`[DEBUG] No output folder; ${current.entries.length} run log entries not written`);
+        return;
+    }
+
+    const lines = [
+        `=== ${current.tab} run started ${current.startedAt}, ended ${new Date().toISOString()}: ${outcome} ===`,
+        ...current.entries.map(entry => `${entry.time}${entry.row ? ` [row ${entry.row}]` : ''} ${entry.message}`),
+        ''
+    ];
+    try {
+        let logFile;
+        try {
+            logFile = await outputFolder.getEntry('log.txt');
+        } catch (notFoundError) {
+            logFile = await outputFolder.createFile('log.txt');
+        }
+        await logFile.write(lines.join('\n') + '\n', { append: true });
+        console.log(`[DEBUG] Run log written: ${logFile.nativePath}`);
+    } catch (writeError) {
+        console.error(`[DEBUG] Failed to write log.txt: ${writeError.message}`);
+    }
+}
+
 // Enhanced state management with performance tracking and step completion
 const createPluginState = () => ({
     status: {
@@ -43,8 +88,18 @@ const createPluginState = () => ({
     },
     data: {
         csvData: null,
+        csvHeaders: null,
+        csvFile: null,
+        csvRawHeaders: null,
+        headerProfile: null,
+        inputFolder: null,
+        templateFolder: null,
         outputFolder: null,
-        lastProcessedRow: null
+        lastProcessedRow: null,
+        currentRowIndex: 0,
+        invalidCells: [],
+        exportTargets: [],
+        sizePresets: []
     }
 });
 
@@ -107,6 +162,161 @@ const delays = {
 
 const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+// Temporary artifacts: files the plugin writes outside the output folder (PNG
+// staging files, document initialization copies and relay staging files) are
+// recorded in a registry persisted to localStorage, so files left behind by a
+// failed export or a crash are still found on the next load. They are deleted
+// at the end of every run and on plugin load. MCP relay messages are not
+// registered: the relay logs folder is listed instead, so messages written
+// before the registry existed fall under the relay retention policy too.
+const tempArtifactsStorageKey = 'tempArtifacts';
+const relayRetentionStorageKey = 'relayRetention';
+const defaultRelayRetention = { maxFiles: 200, maxAgeHours: 24 };
+
+function readTempArtifacts() {
+    try {
+        return JSON.parse(localStorage.getItem(tempArtifactsStorageKey) || '[]');
+    } catch (storageError) {
+        console.log(`[DEBUG] Failed to read temporary file registry: ${storageError.message}`);
+        return [];
+    }
+}
+
+function writeTempArtifacts(artifacts) {
+    localStorage.setItem(tempArtifactsStorageKey, JSON.stringify(artifacts));
+}
+
+// kind is 'png-staging', 'init-copy' or 'relay-staging'
+function registerTempArtifact(path, kind) {
+    if (!path) {
+        return;
+    }
+    const artifacts = readTempArtifacts().filter(artifact => artifact.path !== path);
+    artifacts.push({ path, kind, createdAt: Date.now() });
+    writeTempArtifacts(artifacts);
+}
+
+function unregisterTempArtifact(path) {
+    writeTempArtifacts(readTempArtifacts().filter(artifact => artifact.path !== path));
+}
+
+function normalizeRelayRetention(retention = {}) {
+    const count = (value, fallback) => Number.isFinite(Number(value)) && Number(value) >= 0 ? Number(value) : fallback;
+    return {
+        maxFiles: Math.floor(count(retention.maxFiles, defaultRelayRetention.maxFiles)),
+        maxAgeHours: count(retention.maxAgeHours, defaultRelayRetention.maxAgeHours)
+    };
+}
+
+function loadRelayRetention() {
+    try {
+        return normalizeRelayRetention(JSON.parse(localStorage.getItem(relayRetentionStorageKey) || '{}'));
+    } catch (storageError) {
+        console.log(`[DEBUG] Failed to read relay retention: ${storageError.message}`);
+        return { ...defaultRelayRetention };
+    }
+}
+
+function saveRelayRetention(retention) {
+    localStorage.setItem(relayRetentionStorageKey, JSON.stringify(normalizeRelayRetention(retention)));
+}
+
+// Delete one registered file, looked up by its path without any picker.
+// Returns false when it is already gone.
+async function deleteTempArtifact(path) {
+    let entry;
+    try {
+        entry = await fs.getEntryWithUrl(`file:${path.replace(/\\/g, '/')}`);
+    } catch (notFoundError) {
+        return false;
+    }
+    await entry.delete();
+    return true;
+}
+
+const relayMessagePattern = /^mcp-out-(\d+)\.json$/;
+
+async function getRelayLogsFolder() {
+    try {
+        const tempFolder = await fs.getTemporaryFolder();
+        const relayFolder = await tempFolder.getEntry('mcp-relay');
+        const logsFolder = await relayFolder.getEntry('logs');
+        return logsFolder.isFolder ? logsFolder : null;
+    } catch (notFoundError) {
+        return null;
+    }
+}
+
+// Delete the relay messages in the logs folder that are older than maxAgeHours
+// or beyond the newest maxFiles. Message age comes from the timestamp in the
+// mcp-out-<ms>.json file name.
+async function cleanupRelayLogs(retention, now) {
+    const logsFolder = await getRelayLogsFolder();
+    if (!logsFolder) {
+        return { deleted: 0, kept: 0 };
+    }
+    const messages = (await logsFolder.getEntries())
+        .filter(entry => entry.isFile && relayMessagePattern.test(entry.name))
+        .map(entry => ({ entry, createdAt: Number(relayMessagePattern.exec(entry.name)[1]) }))
+        .sort((a, b) => b.createdAt - a.createdAt);
+
+    let deleted = 0;
+    let kept = 0;
+    for (const [index, message] of messages.entries()) {
+        if (index < retention.maxFiles && now - message.createdAt < retention.maxAgeHours * 60 * 60 * 1000) {
+            kept++;
+            continue;
+        }
+        try {
+            await message.entry.delete();
+            deleted++;
+        } catch (deleteError) {
+            log(`[DEBUG] Failed to delete relay log ${message.entry.name}: ${deleteError.message}`);
+            kept++;
+        }
+    }
+    return { deleted, kept };
+}
+
+// Delete registered staging files and initialization copies, then apply the
+// relay retention policy to the relay logs folder. Registered files that cannot
+// be deleted stay registered for the next cleanup.
+async function cleanupTempArtifacts(reason) {
+    const retention = loadRelayRetention();
+    const now = Date.now();
+    const artifacts = readTempArtifacts();
+
+    const kept = [];
+    let deleted = 0;
+    for (const artifact of artifacts) {
+        // Relay messages registered by earlier versions are covered by the folder listing
+        if (artifact.kind === 'relay') {
+            continue;
+        }
+        try {
+            if (await deleteTempArtifact(artifact.path)) {
+                deleted++;
+            }
+        } catch (deleteError) {
+            log(`[DEBUG] Failed to delete temporary file ${artifact.path}: ${deleteError.message}`);
+            kept.push(artifact);
+        }
+    }
+
+    // Keep anything registered while the cleanup was running
+    const handledPaths = new Set(artifacts.map(artifact => artifact.path));
+    writeTempArtifacts([...kept, ...readTempArtifacts().filter(artifact => !handledPaths.has(artifact.path))]);
+
+    let relay = { deleted: 0, kept: 0 };
+    try {
+        relay = await cleanupRelayLogs(retention, now);
+    } catch (relayError) {
+        log(`[DEBUG] Failed to clean relay logs: ${relayError.message}`);
+    }
+    log(`[DEBUG] Temporary file cleanup (${reason}): ${deleted} deleted, ${kept.length} kept; relay logs: ${relay.deleted} deleted, ${relay.kept} kept`);
+    return { deleted: deleted + relay.deleted, kept: relay.kept };
+}
+
 // Enhanced MCP relay write with proper file handling, validation, and type checking
 async function writeToMCPRelay(data) {
     let file = null;
@@ -197,11 +407,13 @@ async function writeToMCPRelay(data) {
             try {
                 // Create a temporary file first
                 const tempFile = await fs.createTemporaryFile('mcp-relay-');
+                registerTempArtifact(tempFile.nativePath, 'relay-staging');
                 await tempFile.write(jsonString, { format: formats.utf8 });
                 
                 // Move to final location
                 const finalPath = `${logsFolder.nativePath}/${fileName}`;
                 await tempFile.moveTo(finalPath, { overwrite: true });
+                unregisterTempArtifact(tempFile.nativePath);
                 
                 console.log("[DEBUG] Fallback write successful to:", finalPath);
                 return finalPath;
@@ -244,6 +456,306 @@ async function writeToMCPRelay(data) {
     }
 }
 
+// Report a tab-level failure in the status area, log panel and MCP relay
+async function handleError(error, tab) {
+    const state = tab === 'image' ? imageReplaceState : textReplaceState;
+    const statusElement = document.getElementById(tab === 'image' ? 'imageStatus' : 'textStatus');
+
+    state.status.lastError = {
+        message: error?.message,
+        code: error?.code || 'UNKNOWN_ERROR',
+        timestamp: new Date().toISOString()
+    };
+
+    log(`[DEBUG] ${tab} processing error (${state.status.lastError.code}): ${error?.message}`);
+    if (statusElement) {
+        statusElement.textContent = `Error: ${error?.message}`;
+    }
+
+    try {
+        await writeToMCPRelay({
+            command: "sendLog",
+            tab,
+            message: `Processing failed: ${error?.message}`,
+            error: state.status.lastError,
+            timestamp: new Date().toISOString()
+        });
+    } catch (mcpError) {
+        log(`[DEBUG] MCP relay write failed: ${mcpError.message}`);
+    }
+}
+
+// Depth-first walk over a document's layers, descending into groups and artboards.
+// Returns [{ layer, path, label }] for every layer matching the predicate, where
+// path lists the enclosing group names and label is the full "Group / Layer" path.
+function collectLayers(container, predicate = () => true, parentPath = []) {
+    const results = [];
+    for (const layer of container?.layers || []) {
+        if (predicate(layer)) {
+            results.push({ layer, path: parentPath, label: [...parentPath, layer.name].join(' / ') });
+        }
+        if (layer.layers && layer.layers.length > 0) {
+            results.push(...collectLayers(layer, predicate, [...parentPath, layer.name]));
+        }
+    }
+    return results;
+}
+
+// Make doc the active document; history snapshots always act on the active one
+async function activateDocument(doc) {
+    if (!doc || app.activeDocument?._id === doc._id) {
+        return;
+    }
+    await app.executeAsModal(() => {
+        app.activeDocument = doc;
+    }, { commandName: `Activate ${doc.name}` });
+}
+
+// Template snapshots keep every row starting from the pristine template. A
+// history snapshot is taken before the first row and restored before each
+// later row and when the batch ends; if the snapshot cannot be made, each text
+// layer's full textKey descriptor (text, style and paragraph ranges) is
+// recorded and set back instead.
+async function createTemplateSnapshot(doc) {
+    const name = `Auto Replace ${Date.now()}`;
+    try {
+        await activateDocument(doc);
+        await app.executeAsModal(() => batchPlay([{
+            _obj: "make",
+            _target: [{ _ref: "snapshotClass" }],
+            from: { _ref: "historyState", _property: "currentHistoryState" },
+            name,
+            using: { _enum: "historyState", _value: "fullDocument" },
+            _options: { dialogOptions: "dontDisplay" }
+        }], { synchronousExecution: true }), { commandName: 'Snapshot template' });
+        log(`[DEBUG] Template snapshot created: ${name}`);
+        return { doc, name, method: 'snapshot' };
+    } catch (snapshotError) {
+        log(`[DEBUG] History snapshot failed (${snapshotError.message}); recording text layer state instead`);
+    }
+
+    const textLayers = collectLayers(doc, layer => layer.kind === 'text' || layer.kind === 3);
+    const descriptors = await batchPlay(textLayers.map(({ layer }) => ({
+        _obj: "get",
+        _target: [{ _property: "textKey" }, { _ref: "layer", _id: layer._id }, { _ref: "document", _id: doc._id }],
+        _options: { dialogOptions: "dontDisplay" }
+    })), { synchronousExecution: true });
+    const layerStates = textLayers.map(({ layer }, index) => ({ layer, textKey: descriptors[index]?.textKey }))
+        .filter(({ textKey }) => textKey);
+    return { doc, name, method: 'layerState', layerStates };
+}
+
+async function restoreTemplateSnapshot(snapshot) {
+    if (!snapshot) {
+        return;
+    }
+    if (snapshot.method === 'snapshot') {
+        await activateDocument(snapshot.doc);
+    }
+    await app.executeAsModal(async () => {
+        if (snapshot.method === 'snapshot') {
+            await batchPlay([{
+                _obj: "select",
+                _target: [{ _ref: "snapshotClass", _name: snapshot.name }],
+                _options: { dialogOptions: "dontDisplay" }
+            }], { synchronousExecution: true });
+            return;
+        }
+        await batchPlay(snapshot.layerStates.map(({ layer, textKey }) => ({
+            _obj: "set",
+            _target: [{ _ref: "textLayer", _id: layer._id }, { _ref: "document", _id: snapshot.doc._id }],
+            to: textKey,
+            _options: { dialogOptions: "dontDisplay" }
+        })), { synchronousExecution: true });
+    }, { commandName: 'Restore template' });
+    log(`[DEBUG] Template restored from ${snapshot.method === 'snapshot' ? `snapshot ${snapshot.name}` : 'recorded layer state'}`);
+}
+
+// Restore the template one last time and remove the snapshot, leaving the
+// document as it was before the batch
+async function releaseTemplateSnapshot(snapshot) {
+    if (!snapshot) {
+        return;
+    }
+    try {
+        await restoreTemplateSnapshot(snapshot);
+        if (snapshot.method === 'snapshot') {
+            await app.executeAsModal(() => batchPlay([{
+                _obj: "delete",
+                _target: [{ _ref: "snapshotClass", _name: snapshot.name }],
+                _options: { dialogOptions: "dontDisplay" }
+            }], { synchronousExecution: true }), { commandName: 'Remove template snapshot' });
+        }
+    } catch (releaseError) {
+        log(`[DEBUG] Failed to restore the template after the batch: ${releaseError.message}`);
+    }
+}
+
+// Layer-to-column matching. A layer is assigned layer index N (textN, fontsizeN, ...)
+// only when it satisfies the chosen policy; nothing is inferred from stray digits.
+//   exact   - the layer is named textN
+//   prefix  - the layer is named <prefix>N
+//   regex   - the whole name matches the regex; its first capture group is N
+//   mapping - an explicit table from N to a layer name, group path or #ID
+function createLayerMatchingPolicy({ mode = 'exact', prefix = '', regex = '', mapping = {} } = {}) {
+    if (mode === 'prefix') {
+        if (!prefix) {
+            throw new PluginError('Layer prefix is empty', 'INVALID_MATCHING_POLICY', { mode });
+        }
+        return {
+            mode,
+            description: `layers named ${prefix}N`,
+            match: ({ layer }) => {
+                if (!layer.name.startsWith(prefix)) return null;
+                const rest = layer.name.slice(prefix.length);
+                return /^\d+$/.test(rest) ? rest : null;
+            }
+        };
+    }
+
+    if (mode === 'regex') {
+        let pattern;
+        try {
+            pattern = new RegExp(`^(?:${regex})$`);
+        } catch (regexError) {
+            throw new PluginError(`Invalid layer regex: ${regexError.message}`, 'INVALID_MATCHING_POLICY', { mode, regex });
+        }
+        if (!regex || new RegExp(`${regex}|`).exec('').length < 2) {
+            throw new PluginError('Layer regex needs a capture group for the column number', 'INVALID_MATCHING_POLICY', { mode, regex });
+        }
+        return {
+            mode,
+            description: `layers matching /${regex}/`,
+            match: ({ layer }) => {
+                const index = layer.name.match(pattern)?.[1];
+                return index && /^\d+$/.test(index) ? index : null;
+            }
+        };
+    }
+
+    if (mode === 'mapping') {
+        const targets = Object.entries(mapping);
+        if (targets.length === 0) {
+            throw new PluginError('Layer mapping table is empty', 'INVALID_MATCHING_POLICY', { mode });
+        }
+        return {
+            mode,
+            description: 'the layer mapping table',
+            match: ({ layer, label }) => {
+                const entry = targets.find(([, target]) => target.id !== undefined
+                    ? target.id === layer._id
+                    : target.name === layer.name || target.name === label);
+                return entry ? entry[0] : null;
+            }
+        };
+    }
+
+    if (mode !== 'exact') {
+        throw new PluginError(`Unknown layer matching mode "${mode}"`, 'INVALID_MATCHING_POLICY', { mode });
+    }
+    return {
+        mode,
+        description: 'layers named textN',
+        match: ({ layer }) => layer.name.match(/^text(\d+)$/)?.[1] || null
+    };
+}
+
+// Parse a mapping table, one "column = layer" pair per line:
+//   text1 = Product Name        (layer name)
+//   text2 = Front / Dose        (group path)
+//   3 = #1234                   (layer ID)
+// Blank lines and lines starting with // are ignored.
+function parseLayerMappingTable(text) {
+    const mapping = {};
+    String(text || '').split(/\r?\n/).forEach((rawLine, lineIndex) => {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('//')) {
+            return;
+        }
+        const match = line.match(/^([A-Za-z]*)(\d+)\s*=\s*(.+)$/);
+        if (!match || (match[1] && !layerColumnPattern.test(`${match[1]}${match[2]}`))) {
+            throw new PluginError(
+                `Invalid mapping on line ${lineIndex + 1}: "${line}"`,
+                'INVALID_MATCHING_POLICY',
+                { line: lineIndex + 1 }
+            );
+        }
+        const target = match[3].trim();
+        const mapped = /^#\d+$/.test(target) ? { id: parseInt(target.slice(1), 10) } : { name: target };
+        const existing = mapping[match[2]];
+        if (existing && JSON.stringify(existing) !== JSON.stringify(mapped)) {
+            throw new PluginError(
+                `Column ${match[2]} is mapped twice (line ${lineIndex + 1})`,
+                'INVALID_MATCHING_POLICY',
+                { line: lineIndex + 1 }
+            );
+        }
+        mapping[match[2]] = mapped;
+    });
+    return mapping;
+}
+
+// Stored mapping tables, keyed by template (document) name
+const layerMappingStorageKey = 'layerMappings';
+
+function loadStoredLayerMapping(docName) {
+    try {
+        return JSON.parse(localStorage.getItem(layerMappingStorageKey) || '{}')[docName] || '';
+    } catch (storageError) {
+        log(`[DEBUG] Failed to read stored layer mappings: ${storageError.message}`);
+        return '';
+    }
+}
+
+function saveStoredLayerMapping(docName, text) {
+    const mappings = JSON.parse(localStorage.getItem(layerMappingStorageKey) || '{}');
+    mappings[docName] = text;
+    localStorage.setItem(layerMappingStorageKey, JSON.stringify(mappings));
+}
+
+// Name of the template whose table the mapping editor was last loaded from or
+// saved to; null while the editor holds a table typed from scratch
+let layerMappingEditorDocument = null;
+
+// Read the matching policy from the text tab. In mapping mode the table on
+// screen is used for the template it belongs to (or for any template while it
+// is not tied to one), so unsaved edits are what preflight checks; other
+// templates use their saved table, falling back to the editor.
+function getLayerMatchingPolicy(doc) {
+    const mode = document.getElementById('layerMatchMode')?.value || 'exact';
+    const editorText = document.getElementById('layerMappingTable')?.value || '';
+    const storedText = doc ? loadStoredLayerMapping(doc.name) : '';
+    const editorAppliesToDoc = !layerMappingEditorDocument || layerMappingEditorDocument === doc?.name;
+    let mappingText = storedText || editorText;
+    if (editorAppliesToDoc && editorText.trim()) {
+        mappingText = editorText;
+        if (mode === 'mapping' && storedText && editorText !== storedText) {
+            log(`[DEBUG] Using the unsaved layer mapping in the editor for ${doc.name}, not its saved table`);
+        }
+    }
+    return createLayerMatchingPolicy({
+        mode,
+        prefix: document.getElementById('layerMatchPrefix')?.value.trim(),
+        regex: document.getElementById('layerMatchRegex')?.value.trim(),
+        mapping: mode === 'mapping' ? parseLayerMappingTable(mappingText) : {}
+    });
+}
+
+// Split layer entries into those the policy assigns an index to and those it does not
+function resolveLayerMatches(layerEntries, policy) {
+    const matches = [];
+    const unmatched = [];
+    layerEntries.forEach(entry => {
+        const index = policy.match(entry);
+        if (index) {
+            matches.push({ ...entry, index });
+        } else {
+            unmatched.push(entry);
+        }
+    });
+    return { matches, unmatched };
+}
+
 // Enhanced layer targeting utility with better type handling and logging
 function createLayerTarget(layer, options = {}) {
     if (!layer) {
@@ -372,6 +884,211 @@ async function executeWithRetry(command, maxRetries = 3) {
     throw lastError;
 }
 
+// Cross-column expressions in text cells: {{name}} inserts another column of
+// the same row, and formatters can be chained after it, e.g.
+// {{name|upper}}, {{price|currency:USD}}, {{dose_mg|number:1}}.
+const parseNumberCell = (value, formatter) => {
+    const number = Number(String(value).replace(/[,\s]/g, ''));
+    if (String(value).trim() === '' || isNaN(number)) {
+        throw new PluginError(`${formatter} needs a number, got "${value}"`, 'TEMPLATE_EXPRESSION_ERROR', { value, formatter });
+    }
+    return number;
+};
+
+const textExpressionFormatters = {
+    upper: value => value.toUpperCase(),
+    lower: value => value.toLowerCase(),
+    title: value => value.toLowerCase().replace(/(^|\s)(\S)/g, (match, space, letter) => space + letter.toUpperCase()),
+    trim: value => value.trim(),
+    default: (value, fallback = '') => value.trim() === '' ? fallback : value,
+    number: (value, decimals = '0') => parseNumberCell(value, 'number').toLocaleString('en-US', {
+        minimumFractionDigits: parseInt(decimals, 10),
+        maximumFractionDigits: parseInt(decimals, 10)
+    }),
+    currency: (value, code = 'USD') => {
+        try {
+            return parseNumberCell(value, 'currency').toLocaleString('en-US', { style: 'currency', currency: code.toUpperCase() });
+        } catch (formatError) {
+            if (formatError instanceof PluginError) throw formatError;
+            throw new PluginError(`Unknown currency "${code}"`, 'TEMPLATE_EXPRESSION_ERROR', { code });
+        }
+    }
+};
+
+const textExpressionPattern = /\{\{([^{}]*)\}\}/g;
+
+function hasTextExpression(text) {
+    return new RegExp(textExpressionPattern.source).test(String(text ?? ''));
+}
+
+// Evaluate every {{...}} in a cell against the row. Referenced cells may hold
+// expressions themselves; reference cycles are reported.
+function evaluateTextExpression(text, row, references = []) {
+    return String(text ?? '').replace(textExpressionPattern, (expression, body) => {
+        const [column, ...formatters] = body.split('|').map(part => part.trim());
+        if (!column || !Object.prototype.hasOwnProperty.call(row, column)) {
+            throw new PluginError(`Unknown column "${column}" in ${expression}`, 'TEMPLATE_EXPRESSION_ERROR', { expression, column });
+        }
+        if (references.includes(column)) {
+            throw new PluginError(
+                `Circular reference: ${[...references, column].join(' -> ')}`,
+                'TEMPLATE_EXPRESSION_ERROR',
+                { expression, column }
+            );
+        }
+
+        const value = evaluateTextExpression(row[column], row, [...references, column]);
+        return formatters.reduce((result, formatter) => {
+            const separator = formatter.indexOf(':');
+            const name = separator === -1 ? formatter : formatter.slice(0, separator).trim();
+            const argument = separator === -1 ? undefined : formatter.slice(separator + 1).trim();
+            if (!textExpressionFormatters[name]) {
+                throw new PluginError(`Unknown formatter "${name}" in ${expression}`, 'TEMPLATE_EXPRESSION_ERROR', { expression, formatter: name });
+            }
+            return textExpressionFormatters[name](result, argument);
+        }, value);
+    });
+}
+
+// Evaluate the expressions in a row's textN cells, leaving other columns as they are.
+// A cell whose expression fails is emptied and its error added to errors, so
+// one bad cell fails only its own layer.
+function evaluateRowExpressions(row, errors = []) {
+    return Object.fromEntries(Object.entries(row).map(([column, value]) => {
+        if (!/^text\d+$/.test(column) || !hasTextExpression(value)) {
+            return [column, value];
+        }
+        try {
+            return [column, evaluateTextExpression(value, row, [column])];
+        } catch (expressionError) {
+            log(`[DEBUG] Expression in ${column} failed: ${expressionError.message}`);
+            errors.push({ column, error: `${column}: ${expressionError.message}`, code: expressionError.code });
+            return [column, ''];
+        }
+    }));
+}
+
+// Inline rich-text markup for text cells: |b|bold|/b|, |i|, |u|, |sup|®|/sup|,
+// |sub|, |color=#c00|red|/color|, |size=18|, |font=Arial-BoldMT|. Tags nest;
+// tags left open run to the end of the cell. Unknown |tags| stay literal.
+const richTextTags = {
+    b: () => ({ syntheticBold: true }),
+    i: () => ({ syntheticItalic: true }),
+    u: () => ({ underline: { _enum: "underline", _value: "underlineOnLeftInHorizontal" } }),
+    sup: () => ({ baseline: { _enum: "baseline", _value: "superScript" } }),
+    sub: () => ({ baseline: { _enum: "baseline", _value: "subScript" } }),
+    color: value => textStyleProperties.color.descriptor(parseTextStyleValue('color', value)),
+    font: value => textStyleProperties.font.descriptor(parseTextStyleValue('font', value)),
+    size: value => {
+        const size = parseFloat(value);
+        if (isNaN(size) || size <= 0) {
+            throw new PluginError(`Invalid size in rich text markup: "${value}"`, 'RICH_TEXT_ERROR', { value });
+        }
+        return { size: { _unit: "pointsUnit", _value: size } };
+    }
+};
+
+// Tags are lowercase and matched case-sensitively, so plain text like SKU|B|2
+// is left alone
+const richTextTagPattern = /\|(\/?)(b|i|u|sup|sub|color|font|size)(?:=([^|]*))?\|/g;
+
+function hasRichTextMarkup(text) {
+    return new RegExp(richTextTagPattern.source).test(String(text ?? ''));
+}
+
+function stripRichTextMarkup(text) {
+    return String(text ?? '').replace(richTextTagPattern, '');
+}
+
+// Split marked-up text into [{ text, style }] segments, where style holds the
+// textStyle overrides of every tag open at that point
+function parseRichText(text) {
+    const segments = [];
+    const openTags = [];
+    const pattern = new RegExp(richTextTagPattern.source, 'g');
+    let lastIndex = 0;
+    let match;
+
+    const pushText = value => {
+        if (value) {
+            segments.push({ text: value, style: Object.assign({}, ...openTags.map(tag => tag.style)) });
+        }
+    };
+
+    while ((match = pattern.exec(text)) !== null) {
+        const [token, closing, name, value] = match;
+
+        pushText(text.slice(lastIndex, match.index));
+        lastIndex = match.index + token.length;
+
+        if (closing) {
+            const openIndex = openTags.map(tag => tag.name).lastIndexOf(name);
+            if (openIndex === -1) {
+                throw new PluginError(`Unexpected closing tag |/${name}| in rich text`, 'RICH_TEXT_ERROR', { text });
+            }
+            openTags.splice(openIndex, 1);
+        } else {
+            if (['color', 'font', 'size'].includes(name) && !value) {
+                throw new PluginError(`Rich text tag |${name}| needs a value, e.g. |${name}=...|`, 'RICH_TEXT_ERROR', { text });
+            }
+            openTags.push({ name, style: richTextTags[name](value) });
+        }
+    }
+    pushText(text.slice(lastIndex));
+
+    return segments;
+}
+
+// Read the first text and paragraph style of a layer to use as the base for rich text ranges
+async function getLayerTextStyles(layer) {
+    const [descriptor] = await batchPlay(
+        [{
+            _obj: "get",
+            _target: [{ _ref: "layer", _id: layer._id }],
+            _options: { dialogOptions: "dontDisplay" }
+        }],
+        {
+            synchronousExecution: true,
+            modalBehavior: "execute"
+        }
+    );
+
+    const { _obj: textObj, ...textStyle } = descriptor?.textKey?.textStyleRange?.[0]?.textStyle || {};
+    const { _obj: paragraphObj, ...paragraphStyle } = descriptor?.textKey?.paragraphStyleRange?.[0]?.paragraphStyle || {};
+    return { textStyle, paragraphStyle };
+}
+
+// Build the textKey descriptor for marked-up text: one textStyleRange per
+// segment on top of the layer's existing style, one paragraph range overall
+function buildRichTextKey(segments, baseStyles) {
+    const plainText = segments.map(segment => segment.text).join('');
+    let from = 0;
+
+    const textStyleRange = segments.map(segment => {
+        const to = from + segment.text.length;
+        const range = {
+            _obj: "textStyleRange",
+            from,
+            to,
+            textStyle: { _obj: "textStyle", ...baseStyles.textStyle, ...segment.style }
+        };
+        from = to;
+        return range;
+    });
+
+    return {
+        _obj: "textLayer",
+        textKey: plainText,
+        textStyleRange,
+        paragraphStyleRange: [{
+            _obj: "paragraphStyleRange",
+            from: 0,
+            to: plainText.length,
+            paragraphStyle: { _obj: "paragraphStyle", ...baseStyles.paragraphStyle }
+        }]
+    };
+}
+
 // Optimized text replacement with verification
 async function replaceText(layer, newText) {
     try {
@@ -385,7 +1102,7 @@ async function replaceText(layer, newText) {
         await batchPlay(
             [{
                 _obj: "select",
-                _target: [{ _ref: "layer", _name: layer.name }],
+                _target: [{ _ref: "layer", _id: layer._id }],
                 makeVisible: false
             }],
             { 
@@ -394,13 +1111,22 @@ async function replaceText(layer, newText) {
             }
         );
 
-        // Update text with line break handling
-        const processedText = newText.replace(/\|br\|/g, '\r');
+        // Update text with line break handling (|br| markers and quoted CSV newlines)
+        const processedText = newText.replace(/\|br\|/g, '\r').replace(/\n/g, '\r');
+
+        // Inline markup becomes styled ranges; plain text keeps the layer's style
+        let textDescriptor = { _obj: "textLayer", textKey: processedText };
+        if (hasRichTextMarkup(processedText)) {
+            const segments = parseRichText(processedText);
+            textDescriptor = buildRichTextKey(segments, await getLayerTextStyles(layer));
+            log(`[DEBUG] Applying ${segments.length} rich text ranges to layer: ${layer.name}`);
+        }
+
         await batchPlay(
             [{
                 _obj: "set",
-                _target: [{ _ref: "textLayer", _name: layer.name }],
-                to: { _obj: "textLayer", textKey: processedText }
+                _target: [{ _ref: "textLayer", _id: layer._id }],
+                to: textDescriptor
             }],
             {
                 synchronousExecution: true,
@@ -652,350 +1378,20 @@ async function updateFontSize(layer, fontSize) {
     }
 }
 
-// Optimized layer processing without verification
-async function processLayer(layer, rowData, layerIndex) {
-    const layerStart = Date.now();
-    const updates = { text: false, fontSize: false };
-
-    try {
-        if (!layer?.name || !rowData || !layerIndex) {
-            throw new PluginError(
-                'Invalid layer processing parameters',
-                'INVALID_LAYER_PARAMS',
-                { layer: layer?.name, hasRowData: !!rowData, layerIndex }
-            );
-        }
+// Performance tracking utilities
+function startOperation(state, operation) {
+    state.status.currentOperation = operation;
+    state.status.performance.startTime = Date.now();
+    return state.status.performance.startTime;
+}
 
-        log(`[DEBUG] Processing layer: ${layer.name}`);
-
-        // Update text if needed
-        if (rowData[`text${layerIndex}`]) {
-            try {
-                await replaceText(layer, rowData[`text${layerIndex}`]);
-                updates.text = true;
-            } catch (textError) {
-                log(`[DEBUG] Text update failed for layer ${layer.name}: ${textError.message}`);
-                throw textError;
-            }
-        }
-
-        // Update font size if needed
-        if (rowData[`fontsize${layerIndex}`]) {
-            try {
-                await updateFontSize(layer, rowData[`fontsize${layerIndex}`]);
-                updates.fontSize = true;
-            } catch (fontError) {
-                log(`[DEBUG] Font size update failed for layer ${layer.name}: ${fontError.message}`);
-                throw fontError;
-            }
-        }
-
-        return {
-            success: true,
-            layer: layer.name,
-            updates,
-            duration: Date.now() - layerStart
-        };
-
-    } catch (error) {
-        throw new PluginError(
-            `Failed to process layer ${layer?.name}`,
-            'LAYER_PROCESS_ERROR',
-            { originalError: error, layer: layer?.name, updates }
-        );
-    }
-}
-
-async function replaceImage(layer, imagePath) {
-    try {
-        const imageFile = await fs.getFileForPath(imagePath);
-        if (!imageFile) {
-            throw new PluginError('Image file not found', 'FILE_NOT_FOUND');
-        }
-        
-        const result = await batchPlay(
-            [
-                {
-                    _obj: "replaceContents",
-                    _target: [{ _ref: "smartObjectLayer", _id: layer._id }],
-                    using: { _ref: "file", _path: imagePath }
-                }
-            ],
-            { synchronousExecution: true }
-        );
-        
-        if (!result || result.length === 0) {
-            throw new PluginError('Failed to replace image', 'BATCHPLAY_ERROR');
-        }
-        
-        return result;
-    } catch (error) {
-        throw new PluginError('Error replacing image', 'IMAGE_REPLACE_ERROR', { error });
-    }
-}
-
-// Enhanced folder setup with verification and conditional creation
-async function setupTextOutputFolders(outputFolder) {
-    try {
-        if (!outputFolder) {
-            throw new PluginError('Output folder not selected', 'FOLDER_NOT_SELECTED');
-        }
-
-        console.log("[DEBUG] Checking output folders in:", outputFolder.nativePath);
-        const folders = {};
-        
-        // Store the base output folder
-        folders.baseFolder = outputFolder;
-        
-        // Check PNG folder, create if not exists
-        try {
-            console.log("[DEBUG] Checking Text_PNG folder...");
-            try {
-                folders.pngFolder = await outputFolder.getEntry('Text_PNG');
-                if (!folders.pngFolder.isFolder) {
-                    throw new Error('Text_PNG exists but is not a folder');
-                }
-                console.log("[DEBUG] Found existing Text_PNG folder:", folders.pngFolder.nativePath);
-            } catch (notFoundError) {
-                // If the folder doesn't exist, create it
-                console.log("[DEBUG] Text_PNG folder not found, creating new one...");
-                folders.pngFolder = await outputFolder.createEntry('Text_PNG', { type: 'folder' });
-                console.log("[DEBUG] Created new Text_PNG folder:", folders.pngFolder.nativePath);
-            }
-            
-            // Verify the folder was created
-            if (!folders.pngFolder || !folders.pngFolder.isFolder) {
-                throw new PluginError('Failed to create PNG folder', 'FOLDER_CREATE_ERROR');
-            }
-        } catch (error) {
-            console.error("[DEBUG] Error with PNG folder:", error);
-            throw new PluginError(
-                'Failed to create Text_PNG folder',
-                'FOLDER_CREATE_ERROR',
-                { path: 'Text_PNG', error }
-            );
-        }
-        
-        // Ensure native paths are properly formatted for M1 Macs
-        folders.pngNativePath = folders.pngFolder.nativePath.replace(/\\/g, '/');
-
-        console.log("[DEBUG] Output folders ready:", {
-            png: folders.pngNativePath
-        });
-        
-        return folders;
-    } catch (error) {
-        console.error("[DEBUG] Folder setup failed:", error);
-        throw new PluginError(
-            'Failed to setup output folders', 
-            'FOLDER_SETUP_ERROR', 
-            { 
-                error,
-                outputPath: outputFolder?.nativePath 
-            }
-        );
-    }
-}
-
-async function setupImageOutputFolders(outputFolder) {
-    try {
-        if (!outputFolder) {
-            throw new PluginError('Output folder not selected', 'FOLDER_NOT_SELECTED');
-        }
-
-        const folders = {};
-        
-        // Create PNG folder for image operations
-        try {
-            folders.pngFolder = await outputFolder.getEntry('Image_PNG');
-        } catch (error) {
-            folders.pngFolder = await outputFolder.createEntry('Image_PNG', { type: 'folder' });
-        }
-        
-        return folders;
-    } catch (error) {
-        throw new PluginError('Failed to setup image output folders', 'IMAGE_FOLDER_SETUP_ERROR', { error });
-    }
-}
-
-// Performance tracking utilities
-function startOperation(state, operation) {
-    state.status.currentOperation = operation;
-    state.status.performance.startTime = Date.now();
-    return state.status.performance.startTime;
-}
-
-function endOperation(state, operation) {
-    const endTime = Date.now();
-    const duration = endTime - state.status.performance.startTime;
-    state.status.performance[`${operation}Time`] = duration;
-    state.status.performance.endTime = endTime;
-    return duration;
-}
-
-// Enhanced CSV Loading for Text Replace
-async function loadTextCSV(file) {
-    const startTime = Date.now();
-    try {
-        console.log("[DEBUG] Starting CSV load:", {
-            file: file.name,
-            timestamp: new Date().toISOString()
-        });
-
-        const fileContent = await file.read();
-        const lines = fileContent.split('\n');
-        const headers = lines[0].trim().split(',').map(h => h.trim());
-
-        // Validate required columns
-        const textColumns = headers.filter(h => h.startsWith('text'));
-        const fontSizeColumns = headers.filter(h => h.startsWith('fontsize'));
-
-        if (textColumns.length === 0) {
-            throw new PluginError(
-                'No text columns found in CSV',
-                'INVALID_CSV_FORMAT',
-                { headers, foundColumns: textColumns }
-            );
-        }
-
-        console.log("[DEBUG] CSV columns found:", {
-            textColumns,
-            fontSizeColumns,
-            totalColumns: headers.length
-        });
-
-        // Parse data with validation
-        const data = [];
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue; // Skip empty lines
-
-            const values = line.split(',').map(v => v.trim());
-            if (values.length !== headers.length) {
-                console.warn(`[DEBUG] Skipping malformed line ${i + 1}: expected ${headers.length} columns, got ${values.length}`);
-                continue;
-            }
-
-            const rowData = {};
-            let hasData = false;
-
-            headers.forEach((header, index) => {
-                const value = values[index];
-                rowData[header] = value;
-
-                // Track if row has any text content
-                if (header.startsWith('text') && value) {
-                    hasData = true;
-                }
-                // Validate font size values
-                if (header.startsWith('fontsize') && value) {
-                    const size = parseFloat(value);
-                    if (isNaN(size)) {
-                        console.warn(`[DEBUG] Invalid font size in row ${i + 1}, column ${header}: ${value}`);
-                        rowData[header] = ''; // Clear invalid font size
-                    }
-                }
-            });
-
-            if (hasData) {
-                data.push(rowData);
-            }
-        }
-
-        if (data.length === 0) {
-            throw new PluginError(
-                'No valid data rows found in CSV',
-                'EMPTY_CSV_DATA',
-                { totalLines: lines.length }
-            );
-        }
-
-        // Update state
-        textReplaceState.data.csvData = data;
-        textReplaceState.status.steps.csvLoaded = true;
-        textReplaceState.status.performance.csvLoadTime = Date.now() - startTime;
-        textReplaceState.status.performance.totalRows = data.length;
-
-        console.log("[DEBUG] CSV load completed:", {
-            rowsLoaded: data.length,
-            duration: Date.now() - startTime,
-            timestamp: new Date().toISOString()
-        });
-
-        // Write to MCP relay
-        await writeToMCPRelay({
-            command: "sendLog",
-            message: `CSV loaded successfully: ${data.length} rows`,
-            metrics: {
-                duration: Date.now() - startTime,
-                rowCount: data.length,
-                textColumns: textColumns.length,
-                fontSizeColumns: fontSizeColumns.length
-            },
-            timestamp: new Date().toISOString()
-        });
-
-        log(`[Cursor OK] CSV loaded: ${data.length} rows, ${textColumns.length} text columns`);
-        return data;
-
-    } catch (error) {
-        console.error("[DEBUG] CSV load failed:", {
-            error: error.message,
-            code: error.code,
-            file: file.name
-        });
-
-        textReplaceState.status.steps.csvLoaded = false;
-        throw new PluginError(
-            'Failed to load CSV file',
-            'CSV_LOAD_ERROR',
-            { originalError: error, file: file.name }
-        );
-    }
-}
-
-// Enhanced CSV Loading for Image Replace
-async function loadImageCSV(file) {
-    const startTime = startOperation(imageReplaceState, 'csvLoad');
-    try {
-        const fileContent = await file.read();
-        const lines = fileContent.split('\n');
-        const headers = lines[0].split(',');
-        const data = lines.slice(1).map(line => {
-            const values = line.split(',');
-            return headers.reduce((obj, header, index) => {
-                obj[header.trim()] = values[index]?.trim() || '';
-                return obj;
-            }, {});
-        });
-        
-        // Update state with performance metrics
-        imageReplaceState.data.csvData = data;
-        imageReplaceState.status.steps.csvLoaded = true;
-        imageReplaceState.status.performance.totalRows = data.length;
-        
-        const duration = endOperation(imageReplaceState, 'csvLoad');
-        log(`[Cursor OK] Image CSV loaded successfully (${duration}ms, ${data.length} rows)`);
-        
-        // Write performance data to MCP relay
-        await writeToMCPRelay({
-            command: "sendMetrics",
-            tab: "image",
-            operation: "csvLoad",
-            metrics: {
-                duration,
-                rowCount: data.length,
-                timestamp: new Date().toISOString()
-            }
-        });
-        
-        return data;
-    } catch (error) {
-        imageReplaceState.status.steps.csvLoaded = false;
-        log(`Error loading image CSV: ${error.message}`);
-        throw error;
-    }
-}
+function endOperation(state, operation) {
+    const endTime = Date.now();
+    const duration = endTime - state.status.performance.startTime;
+    state.status.performance[`${operation}Time`] = duration;
+    state.status.performance.endTime = endTime;
+    return duration;
+}
 
 // Updated PNG save function with proper API v2 format
 async function saveAsPNG(doc, outputPath) {
@@ -1266,6 +1662,7 @@ async function ensureDocumentInitialized() {
             // Create temp folder if it doesn't exist
             const tempFolder = await fs.getTemporaryFolder();
             const savePath = `${tempFolder.nativePath}/${tempName}`;
+            registerTempArtifact(savePath, 'init-copy');
             
             log(`[DEBUG] Attempting to initialize document with temp save to: ${savePath}`);
             
@@ -1350,7 +1747,7 @@ async function ensureDocumentInitialized() {
 }
 
 // Add a new function to directly save files using the File API
-async function directSaveFile(doc, outputPath, fileType) {
+async function directSaveFile(doc, outputPath, fileType, options = {}) {
     try {
         console.log(`[CURSOR SAVE] DIRECT SAVE: Starting direct save to ${outputPath} as ${fileType}`);
         
@@ -1422,6 +1819,23 @@ async function directSaveFile(doc, outputPath, fileType) {
             
             console.log(`[CURSOR SAVE] DIRECT SAVE: Executing PSD save`);
             await batchPlay([saveDesc], { synchronousExecution: true });
+        } else if (exportFormats[fileType.toLowerCase()]) {
+            // Save a copy in one of the export target formats
+            const saveDesc = {
+                _obj: "save",
+                as: exportFormats[fileType.toLowerCase()].descriptor(options),
+                in: fileToken,
+                documentID: doc._id,
+                copy: true,
+                lowerCase: true,
+                embedProfiles: options.embedProfile !== false,
+                _options: { 
+                    dialogOptions: "dontDisplay"
+                }
+            };
+
+            console.log(`[CURSOR SAVE] DIRECT SAVE: Executing ${fileType} save`);
+            await batchPlay([saveDesc], { synchronousExecution: true });
         } else {
             throw new Error(`Unsupported file type: ${fileType}`);
         }
@@ -1448,8 +1862,751 @@ async function directSaveFile(doc, outputPath, fileType) {
     }
 }
 
+// Output collision policy for a run. Every output path is claimed before it is
+// written; a path already written earlier in the run or already on disk is a
+// collision, handled per the policy and recorded in the log:
+//   overwrite - write over it
+//   skip      - keep the existing file and skip this output
+//   suffix    - write name_2.ext, name_3.ext, ... instead
+//   fail      - fail the row
+const collisionPolicies = ['overwrite', 'skip', 'suffix', 'fail'];
+
+let outputRun = null;
+
+function getCollisionPolicy(tab) {
+    const select = document.getElementById(tab === 'image' ? 'collisionPolicyImg' : 'collisionPolicy');
+    return collisionPolicies.includes(select?.value) ? select.value : 'overwrite';
+}
+
+function startOutputRun(policy) {
+    outputRun = { policy, written: new Set(), collisions: [], failed: null };
+    log(`[DEBUG] Output collision policy: ${policy}`);
+    return outputRun;
+}
+
+// Log the run's collision count and close the run
+function finishOutputRun() {
+    if (!outputRun) {
+        return [];
+    }
+    const { policy, collisions } = outputRun;
+    if (collisions.length > 0) {
+        log(`[Cursor OK] ${collisions.length} output collision(s) handled with policy "${policy}"`);
+    }
+    outputRun = null;
+    return collisions;
+}
+
+// Look an entry up by its native path; fs.getFolder ignores its argument and
+// opens the folder picker, so paths go through a file: URL instead.
+// Returns null when nothing exists at the path.
+async function getEntryAtPath(path) {
+    try {
+        return await fs.getEntryWithUrl(`file:${path.replace(/\\/g, '/')}`);
+    } catch (notFoundError) {
+        return null;
+    }
+}
+
+async function outputFileExists(outputPath) {
+    return (await getEntryAtPath(outputPath)) !== null;
+}
+
+// Resolve the path an output may be written to under the run's policy, or
+// null when it must be skipped. Throws OUTPUT_COLLISION under "fail".
+async function claimOutputPath(outputPath) {
+    const run = outputRun || startOutputRun('overwrite');
+    const isTaken = async path => run.written.has(path) || await outputFileExists(path);
+
+    if (!await isTaken(outputPath)) {
+        run.written.add(outputPath);
+        return outputPath;
+    }
+
+    const collision = {
+        path: outputPath,
+        reason: run.written.has(outputPath) ? 'written earlier in this run' : 'already exists',
+        action: run.policy
+    };
+    run.collisions.push(collision);
+
+    if (run.policy === 'fail') {
+        log(`[COLLISION] ${outputPath} ${collision.reason}; failing the row`);
+        run.failed = new PluginError(`Output ${outputPath} ${collision.reason}`, 'OUTPUT_COLLISION', collision);
+        throw run.failed;
+    }
+    if (run.policy === 'skip') {
+        log(`[COLLISION] ${outputPath} ${collision.reason}; skipped`);
+        return null;
+    }
+    if (run.policy === 'suffix') {
+        const extensionIndex = outputPath.lastIndexOf('.');
+        const stem = outputPath.slice(0, extensionIndex);
+        const extension = outputPath.slice(extensionIndex);
+        for (let counter = 2; counter < 1000; counter++) {
+            const candidate = `${stem}_${counter}${extension}`;
+            if (!await isTaken(candidate)) {
+                collision.resolvedPath = candidate;
+                run.written.add(candidate);
+                log(`[COLLISION] ${outputPath} ${collision.reason}; writing ${candidate}`);
+                return candidate;
+            }
+        }
+        throw new PluginError(`No free suffix for ${outputPath}`, 'OUTPUT_COLLISION', collision);
+    }
+
+    log(`[COLLISION] ${outputPath} ${collision.reason}; overwriting`);
+    run.written.add(outputPath);
+    return outputPath;
+}
+
+// SHA-256 of a byte array, as lowercase hex. UXP has no crypto module, so the
+// manifest hashes output files with this plain implementation.
+const sha256RoundConstants = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+function sha256Hex(bytes) {
+    const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    const bitLength = bytes.length * 8;
+    const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+    view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+    const rotate = (value, bits) => (value >>> bits) | (value << (32 - bits));
+    const words = new Uint32Array(64);
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            words[i] = view.getUint32(offset + i * 4);
+        }
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotate(words[i - 15], 7) ^ rotate(words[i - 15], 18) ^ (words[i - 15] >>> 3);
+            const s1 = rotate(words[i - 2], 17) ^ rotate(words[i - 2], 19) ^ (words[i - 2] >>> 10);
+            words[i] = (words[i - 16] + s0 + words[i - 7] + s1) >>> 0;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const t1 = (h + (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) + ((e & f) ^ (~e & g)) + sha256RoundConstants[i] + words[i]) >>> 0;
+            const t2 = ((rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+            [h, g, f, e, d, c, b, a] = [g, f, e, (d + t1) >>> 0, c, b, a, (t1 + t2) >>> 0];
+        }
+        [a, b, c, d, e, f, g, h].forEach((value, i) => {
+            hash[i] = (hash[i] + value) >>> 0;
+        });
+    }
+    return hash.map(value => value.toString(16).padStart(8, '0')).join('');
+}
+
+// Run manifest: one entry per processed row with its resolved layer values,
+// files written, duration and errors. Written to the output folder as
+// manifest.json and manifest.csv when the run ends, however it ends.
+function createRunManifest(tab) {
+    return { tab, startedAt: new Date().toISOString(), rows: [] };
+}
+
+// The per-layer values of a row (textN, fontsizeN, psdnameN, imgnameN, ...)
+function pickLayerValues(row) {
+    return Object.fromEntries(Object.entries(row || {})
+        .filter(([column, value]) => value !== '' && value !== undefined &&
+            (layerColumnPattern.test(column) || /^(psdname|imgname)\d+$/.test(column) || column === 'template')));
+}
+
+// Run one row and add its outcome to the manifest. Row errors are recorded
+// and rethrown so the runner handles them as before.
+async function recordManifestRow(manifest, row, rowIndex, runRow) {
+    const rowStart = Date.now();
+    if (runLog) {
+        runLog.row = rowIndex + 1;
+    }
+    try {
+        const result = await runRow();
+        manifest.rows.push({
+            row: rowIndex + 1,
+            status: result.errors ? (result.success ? 'partial' : 'failed') : 'success',
+            values: result.values || pickLayerValues(row),
+            files: result.files || [],
+            durationMs: Date.now() - rowStart,
+            errors: (result.errors || []).map(error => ({ type: error.type || error.code || 'error', message: error.error || error.message }))
+        });
+        return result;
+    } catch (rowError) {
+        // A row interrupted by a cancel is recorded as cancelled, not failed
+        const cancelled = rowError.code === 'JOB_CANCELLED';
+        manifest.rows.push({
+            row: rowIndex + 1,
+            status: cancelled ? 'cancelled' : 'failed',
+            values: pickLayerValues(row),
+            files: [],
+            durationMs: Date.now() - rowStart,
+            errors: cancelled ? [] : [{ type: rowError.code || 'error', message: rowError.message }]
+        });
+        throw rowError;
+    } finally {
+        if (runLog) {
+            runLog.row = null;
+        }
+    }
+}
+
+const csvField = value => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Size and hash every file in the manifest, then write manifest.json and manifest.csv
+async function writeRunManifest(outputFolder, manifest) {
+    if (!outputFolder || !manifest || manifest.rows.length === 0) {
+        return null;
+    }
+    const basePath = outputFolder.nativePath.replace(/\\/g, '/');
+
+    for (const entry of manifest.rows) {
+        entry.files = await Promise.all(entry.files.map(async filePath => {
+            const relativePath = filePath.startsWith(`${basePath}/`) ? filePath.slice(basePath.length + 1) : filePath;
+            try {
+                const file = await getEntryAtPath(filePath);
+                if (!file) {
+                    throw new Error('file not found');
+                }
+                const bytes = new Uint8Array(await file.read({ format: formats.binary }));
+                return { path: filePath, relativePath, size: bytes.length, sha256: sha256Hex(bytes) };
+            } catch (readError) {
+                log(`[DEBUG] Manifest could not read ${filePath}: ${readError.message}`);
+                return { path: filePath, relativePath, size: null, sha256: null, error: readError.message };
+            }
+        }));
+    }
+
+    const finishedAt = new Date();
+    const manifestDocument = {
+        ...manifest,
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt.getTime() - new Date(manifest.startedAt).getTime()
+    };
+
+    const csvLines = [['row', 'status', 'file', 'size', 'sha256', 'duration_ms', 'values', 'errors'].join(',')];
+    manifest.rows.forEach(entry => {
+        const values = JSON.stringify(entry.values);
+        const errors = entry.errors.map(error => `${error.type}: ${error.message}`).join('; ');
+        const files = entry.files.length > 0 ? entry.files : [{}];
+        files.forEach(file => csvLines.push([
+            entry.row, entry.status, file.relativePath, file.size, file.sha256, entry.durationMs, values, errors
+        ].map(csvField).join(',')));
+    });
+
+    const jsonFile = await outputFolder.createFile('manifest.json', { overwrite: true });
+    await jsonFile.write(JSON.stringify(manifestDocument, null, 2));
+    const csvFile = await outputFolder.createFile('manifest.csv', { overwrite: true });
+    await csvFile.write(csvLines.join('\n') + '\n');
+
+    log(`[Cursor OK] Manifest written: ${manifest.rows.length} rows, ${manifest.rows.reduce((count, entry) => count + entry.files.length, 0)} files`);
+    return manifestDocument;
+}
+
+// Close the output run, write its manifest with the collisions it handled,
+// then flush the run log. outcome is "completed", "stopped" or "failed: ...".
+async function finishRunOutputs(outputFolder, manifest, outcome) {
+    const policy = outputRun?.policy;
+    const collisions = finishOutputRun();
+    if (manifest) {
+        try {
+            await writeRunManifest(outputFolder, { ...manifest, outcome, collisionPolicy: policy, collisions });
+        } catch (manifestError) {
+            log(`[DEBUG] Failed to write run manifest: ${manifestError.message}`);
+        }
+    }
+    log(`[Cursor OK] Run ${outcome}`);
+    try {
+        await cleanupTempArtifacts('run end');
+    } catch (cleanupError) {
+        log(`[DEBUG] Temporary file cleanup failed: ${cleanupError.message}`);
+    }
+    await flushRunLog(outputFolder, outcome);
+}
+
+// Export targets: extra formats saved next to the PNG/PSD outputs. Quality is
+// 0-100 for every format and scaled to Photoshop's 0-12 JPEG range where needed.
+const toJPEGQuality = quality => Math.round(quality * 12 / 100);
+
+const exportFormats = {
+    jpeg: {
+        label: 'JPEG',
+        extension: 'jpg',
+        compressions: [],
+        descriptor: ({ quality }) => ({
+            _obj: "JPEG",
+            extendedQuality: toJPEGQuality(quality),
+            matteColor: { _enum: "matteColor", _value: "none" }
+        })
+    },
+    webp: {
+        label: 'WebP',
+        extension: 'webp',
+        compressions: ['lossy', 'lossless'],
+        descriptor: ({ quality, compression }) => ({
+            _obj: "WebPFormat",
+            compression: {
+                _enum: "WebPCompression",
+                _value: compression === 'lossless' ? "compressionLossless" : "compressionLossy"
+            },
+            quality,
+            includeXMPData: false,
+            includeEXIFData: false,
+            includePsExtras: false
+        })
+    },
+    tiff: {
+        label: 'TIFF',
+        extension: 'tif',
+        compressions: ['lzw', 'zip', 'jpeg', 'none'],
+        descriptor: ({ quality, compression }) => ({
+            _obj: "TIFF",
+            byteOrder: { _enum: "platform", _value: "IBMPC" },
+            imageCompression: {
+                _enum: "encoding",
+                _value: { lzw: "tiffLZW", zip: "tiffZIP", jpeg: "tiffJPEG", none: "none" }[compression]
+            },
+            ...(compression === 'jpeg' ? { jpegQuality: toJPEGQuality(quality) } : {})
+        })
+    },
+    pdf: {
+        label: 'PDF',
+        extension: 'pdf',
+        compressions: ['jpeg', 'zip', 'none'],
+        descriptor: ({ quality, compression }) => ({
+            _obj: "photoshopPDFFormat",
+            pDFPreserveEditing: false,
+            pDFEmbedThumbnails: false,
+            pDFOptimizeForWeb: false,
+            pdfCompressionType: { jpeg: 7, zip: 8, none: 1 }[compression],
+            ...(compression === 'jpeg' ? { pdfCompressionQuality: toJPEGQuality(quality) } : {})
+        })
+    }
+};
+
+const defaultExportTarget = {
+    format: 'jpeg',
+    quality: 90,
+    compression: '',
+    iccProfile: '',
+    embedProfile: true,
+    flatten: true,
+    subfolder: ''
+};
+
+// Fill in defaults and clamp a target's options to what its format accepts
+function normalizeExportTarget(target, tab) {
+    const merged = { ...defaultExportTarget, ...target };
+    const format = exportFormats[merged.format];
+    if (!format) {
+        throw new PluginError(`Unknown export format "${merged.format}"`, 'INVALID_EXPORT_TARGET', { target });
+    }
+    const quality = parseInt(merged.quality, 10);
+    const prefix = tab === 'image' ? 'Image' : 'Text';
+    return {
+        ...merged,
+        quality: isNaN(quality) ? defaultExportTarget.quality : Math.min(100, Math.max(0, quality)),
+        compression: format.compressions.includes(merged.compression) ? merged.compression : (format.compressions[0] || ''),
+        iccProfile: String(merged.iccProfile || '').trim(),
+        subfolder: slugifyFilename(merged.subfolder || '') || `${prefix}_${format.label}`
+    };
+}
+
+// Create each target's output subfolder and remember its native path
+async function setupExportTargetFolders(outputFolder, targets) {
+    const prepared = [];
+    for (const target of targets) {
+        let folder;
+        try {
+            folder = await outputFolder.getEntry(target.subfolder);
+        } catch (notFoundError) {
+            folder = await outputFolder.createEntry(target.subfolder, { type: 'folder' });
+        }
+        if (!folder.isFolder) {
+            throw new PluginError(`${target.subfolder} exists but is not a folder`, 'FOLDER_CREATE_ERROR', { path: target.subfolder });
+        }
+        prepared.push({ ...target, nativePath: folder.nativePath.replace(/\\/g, '/') });
+    }
+    return prepared;
+}
+
+// Save one export target. Profile conversion and flattening happen on a
+// throwaway duplicate so the working document keeps its layers and profile.
+// Must run inside executeAsModal.
+async function saveExportTarget(doc, baseFileName, target) {
+    const format = exportFormats[target.format];
+    const outputPath = await claimOutputPath(`${target.nativePath}/${baseFileName}.${format.extension}`);
+    if (!outputPath) {
+        return { skipped: true, format: target.format };
+    }
+    const needsCopy = target.flatten || !!target.iccProfile;
+    const source = needsCopy ? await doc.duplicate() : doc;
+
+    try {
+        if (target.iccProfile) {
+            await source.convertProfile(target.iccProfile, constants.Intent.RELATIVECOLORIMETRIC);
+        }
+        if (target.flatten) {
+            await source.flatten();
+        }
+        const result = await directSaveFile(source, outputPath, target.format, target);
+        log(`[DEBUG] ✅ ${format.label} export saved: ${outputPath}`);
+        return { ...result, format: target.format };
+    } catch (exportError) {
+        throw new PluginError(
+            `${format.label} export failed: ${exportError.message}`,
+            'EXPORT_SAVE_ERROR',
+            { originalError: exportError, format: target.format, path: outputPath }
+        );
+    } finally {
+        if (needsCopy) {
+            await source.closeWithoutSaving();
+        }
+    }
+}
+
+// Export targets are kept per tab and remembered between sessions
+const exportTargetsStorageKey = 'exportTargets';
+
+function loadExportTargets(tab) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(exportTargetsStorageKey) || '{}')[tab] || [];
+        return stored.map(target => normalizeExportTarget(target, tab));
+    } catch (storageError) {
+        log(`[DEBUG] Failed to read export targets: ${storageError.message}`);
+        return [];
+    }
+}
+
+function saveExportTargets(tab) {
+    const state = tab === 'image' ? imageReplaceState : textReplaceState;
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(exportTargetsStorageKey) || '{}');
+    } catch (storageError) {
+        log(`[DEBUG] Replacing unreadable export targets: ${storageError.message}`);
+    }
+    stored[tab] = state.data.exportTargets;
+    localStorage.setItem(exportTargetsStorageKey, JSON.stringify(stored));
+}
+
+// Artboard export: instead of one PNG of the whole canvas, save one PNG per
+// artboard (or per listed artboard). The artboard name is the {artboard}
+// filename token; templates without it get "_<artboard>" appended.
+function getArtboardSettings(tab) {
+    const suffix = tab === 'image' ? 'Img' : '';
+    const enabledInput = document.getElementById(`artboardExport${suffix}`);
+    const namesInput = document.getElementById(`artboardNames${suffix}`);
+    return {
+        enabled: !!enabledInput?.checked,
+        names: (namesInput?.value || '').split(',').map(name => name.trim()).filter(Boolean)
+    };
+}
+
+// Read the document's top-level artboards with their rectangles, keeping the
+// requested ones when names are given. Unknown names are reported.
+async function getArtboards(doc, names = []) {
+    const topLevel = Array.from(doc.layers || []);
+    const descriptors = await batchPlay(
+        topLevel.map(layer => ({
+            _obj: "get",
+            _target: [{ _ref: "layer", _id: layer._id }, { _ref: "document", _id: doc._id }],
+            _options: { dialogOptions: "dontDisplay" }
+        })),
+        { synchronousExecution: true }
+    );
+
+    const artboards = topLevel
+        .map((layer, position) => ({ layer, position, descriptor: descriptors[position] }))
+        .filter(({ descriptor }) => descriptor?.artboardEnabled && descriptor.artboard?.artboardRect)
+        .map(({ layer, position, descriptor }) => {
+            const rect = descriptor.artboard.artboardRect;
+            return {
+                name: layer.name,
+                position,
+                bounds: { left: rect.left, top: rect.top, right: rect.right, bottom: rect.bottom }
+            };
+        });
+
+    if (names.length === 0) {
+        return { artboards, missing: [] };
+    }
+    const wanted = names.map(name => name.toLowerCase());
+    return {
+        artboards: artboards.filter(artboard => wanted.includes(artboard.name.toLowerCase())),
+        missing: names.filter(name => !artboards.some(artboard => artboard.name.toLowerCase() === name.toLowerCase()))
+    };
+}
+
+function resolveArtboardFilename(row, index, settings, artboardName, extraTokens = {}) {
+    const baseFileName = resolveOutputFilename(row, index, settings, { ...extraTokens, artboard: artboardName });
+    const pattern = row.filename || settings.template;
+    return pattern.includes('{artboard}')
+        ? baseFileName
+        : `${baseFileName}_${slugifyFilename(artboardName, settings.slugRules)}`;
+}
+
+// Save one artboard as PNG from a duplicate with the other artboards hidden
+// and the canvas cropped to the artboard. Must run inside executeAsModal.
+async function saveArtboardPNG(doc, artboard, outputPath) {
+    const copy = await doc.duplicate();
+    try {
+        Array.from(copy.layers).forEach((layer, position) => {
+            if (position !== artboard.position) {
+                layer.visible = false;
+            }
+        });
+        await copy.crop(artboard.bounds);
+        const result = await directSaveFile(copy, outputPath, 'PNG');
+        log(`[DEBUG] ✅ Artboard ${artboard.name} saved: ${outputPath}`);
+        return { ...result, artboard: artboard.name };
+    } catch (artboardError) {
+        throw new PluginError(
+            `Artboard ${artboard.name} export failed: ${artboardError.message}`,
+            'ARTBOARD_EXPORT_ERROR',
+            { originalError: artboardError, artboard: artboard.name, path: outputPath }
+        );
+    } finally {
+        await copy.closeWithoutSaving();
+    }
+}
+
+// Size presets: every text row is also exported at each preset's size, from a
+// resized duplicate, into a subfolder named after the preset. A preset sets a
+// width and/or height box (fit, aspect kept) or a scale factor; padding adds
+// transparent canvas around the fitted image.
+const resampleMethods = {
+    automatic: 'AUTOMATIC',
+    bicubic: 'BICUBIC',
+    bicubicSharper: 'BICUBICSHARPER',
+    bicubicSmoother: 'BICUBICSMOOTHER',
+    bilinear: 'BILINEAR',
+    nearestNeighbor: 'NEARESTNEIGHBOR',
+    preserveDetails: 'PRESERVEDETAILS'
+};
+
+const defaultSizePreset = {
+    name: '',
+    width: '',
+    height: '',
+    scale: '',
+    resample: 'bicubicSharper',
+    padding: 0
+};
+
+function normalizeSizePreset(preset, presetIndex = 0) {
+    const merged = { ...defaultSizePreset, ...preset };
+    const positive = value => {
+        const number = parseFloat(value);
+        return isNaN(number) || number <= 0 ? '' : number;
+    };
+    const padding = parseInt(merged.padding, 10);
+    return {
+        name: String(merged.name || '').trim() || `size${presetIndex + 1}`,
+        width: positive(merged.width) && Math.round(positive(merged.width)),
+        height: positive(merged.height) && Math.round(positive(merged.height)),
+        scale: positive(merged.scale),
+        resample: resampleMethods[merged.resample] ? merged.resample : defaultSizePreset.resample,
+        padding: isNaN(padding) || padding < 0 ? 0 : padding
+    };
+}
+
+// Work out the image and canvas size for a preset. Width and height form a
+// box the image is fitted into (inside the padding); with both set the canvas
+// is exactly that box. Without either, the scale factor (default 1) applies.
+function computePresetSize(docWidth, docHeight, preset) {
+    const { width, height, scale, padding } = preset;
+    let factor = scale || 1;
+    if (width || height) {
+        const widthFactor = width ? (width - 2 * padding) / docWidth : Infinity;
+        const heightFactor = height ? (height - 2 * padding) / docHeight : Infinity;
+        factor = Math.min(widthFactor, heightFactor);
+    }
+    if (!(factor > 0)) {
+        throw new PluginError(`Preset "${preset.name}" leaves no room inside its padding`, 'INVALID_SIZE_PRESET', { preset });
+    }
+
+    const imageWidth = Math.max(1, Math.round(docWidth * factor));
+    const imageHeight = Math.max(1, Math.round(docHeight * factor));
+    return {
+        imageWidth,
+        imageHeight,
+        canvasWidth: width && height ? width : imageWidth + 2 * padding,
+        canvasHeight: width && height ? height : imageHeight + 2 * padding
+    };
+}
+
+async function setupSizePresetFolders(outputFolder, presets) {
+    const prepared = [];
+    for (const preset of presets) {
+        const subfolder = slugifyFilename(preset.name) || 'size';
+        let folder;
+        try {
+            folder = await outputFolder.getEntry(subfolder);
+        } catch (notFoundError) {
+            folder = await outputFolder.createEntry(subfolder, { type: 'folder' });
+        }
+        if (!folder.isFolder) {
+            throw new PluginError(`${subfolder} exists but is not a folder`, 'FOLDER_CREATE_ERROR', { path: subfolder });
+        }
+        prepared.push({ ...preset, nativePath: folder.nativePath.replace(/\\/g, '/') });
+    }
+    return prepared;
+}
+
+// Resize a duplicate of the document to the preset and save it as PNG.
+// Must run inside executeAsModal.
+async function saveSizePreset(doc, baseFileName, preset) {
+    const outputPath = await claimOutputPath(`${preset.nativePath}/${baseFileName}.png`);
+    if (!outputPath) {
+        return { skipped: true, preset: preset.name };
+    }
+    const copy = await doc.duplicate();
+    try {
+        const size = computePresetSize(copy.width, copy.height, preset);
+        await copy.resizeImage(size.imageWidth, size.imageHeight, undefined, constants.ResampleMethod[resampleMethods[preset.resample]]);
+        if (size.canvasWidth !== size.imageWidth || size.canvasHeight !== size.imageHeight) {
+            // resizeCanvas fills with the background color on a Background layer,
+            // so turn it into a normal layer first to keep the padding transparent
+            if (Array.from(copy.layers).some(layer => layer.isBackgroundLayer)) {
+                await batchPlay(
+                    [{
+                        _obj: "set",
+                        _target: [{ _ref: "layer", _property: "background" }, { _ref: "document", _id: copy._id }],
+                        to: { _obj: "layer", opacity: { _unit: "percentUnit", _value: 100 }, mode: { _enum: "blendMode", _value: "normal" } },
+                        _options: { dialogOptions: "dontDisplay" }
+                    }],
+                    { synchronousExecution: true, modalBehavior: "execute" }
+                );
+            }
+            await copy.resizeCanvas(size.canvasWidth, size.canvasHeight, constants.AnchorPosition.MIDDLECENTER);
+        }
+        const result = await directSaveFile(copy, outputPath, 'PNG');
+        log(`[DEBUG] ✅ Preset ${preset.name} saved at ${size.canvasWidth}x${size.canvasHeight}: ${outputPath}`);
+        return { ...result, preset: preset.name, ...size };
+    } catch (presetError) {
+        throw new PluginError(
+            `Preset ${preset.name} export failed: ${presetError.message}`,
+            'SIZE_PRESET_ERROR',
+            { originalError: presetError, preset: preset.name, path: outputPath }
+        );
+    } finally {
+        await copy.closeWithoutSaving();
+    }
+}
+
+const sizePresetsStorageKey = 'sizePresets';
+
+function loadSizePresets() {
+    try {
+        return JSON.parse(localStorage.getItem(sizePresetsStorageKey) || '[]').map(normalizeSizePreset);
+    } catch (storageError) {
+        log(`[DEBUG] Failed to read size presets: ${storageError.message}`);
+        return [];
+    }
+}
+
+function saveSizePresets() {
+    localStorage.setItem(sizePresetsStorageKey, JSON.stringify(textReplaceState.data.sizePresets));
+}
+
+// Default filename settings per tab; {column} tokens read the CSV row,
+// {row} is the 1-based row number and {template} the image template's base name
+const defaultFilenameSettings = {
+    text: { template: '{text1}_{text2}_{row}' },
+    image: { template: '{template}_{row}' }
+};
+
+// Slug rules: letters and digits are always kept, Unicode letters optionally,
+// plus any extra characters in keepChars. Everything else becomes the replacement.
+const defaultSlugRules = {
+    keepUnicode: true,
+    keepChars: '-.',
+    replacement: '_',
+    lowercase: false,
+    maxLength: 200
+};
+
+// Characters that are never valid in a filename on macOS or Windows
+const reservedFilenameChars = '/\\:*?"<>|';
+
+function slugifyFilename(value, rules = defaultSlugRules) {
+    const { keepUnicode, keepChars, replacement, lowercase, maxLength } = { ...defaultSlugRules, ...rules };
+    const extraChars = [...(keepChars || '')].filter(char => !reservedFilenameChars.includes(char));
+    const safeReplacement = [...(replacement || '')].filter(char => !reservedFilenameChars.includes(char)).join('');
+
+    let slug = [...String(value ?? '').normalize('NFC')].map(char => {
+        if (/[A-Za-z0-9]/.test(char)) return char;
+        if (keepUnicode && /[\p{L}\p{N}\p{M}]/u.test(char)) return char;
+        if (extraChars.includes(char)) return char;
+        return safeReplacement;
+    }).join('');
+
+    if (safeReplacement) {
+        // Collapse runs of the replacement and trim it from both ends
+        const escaped = safeReplacement.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        slug = slug
+            .replace(new RegExp(`(?:${escaped})+`, 'g'), safeReplacement)
+            .replace(new RegExp(`^(?:${escaped})|(?:${escaped})$`, 'g'), '');
+    }
+
+    // Leading dots would create hidden files
+    slug = slug.replace(/^\.+/, '');
+    if (lowercase) slug = slug.toLowerCase();
+    return slug.slice(0, maxLength);
+}
+
+// Read the filename template and slug rules from a tab's settings inputs
+function getFilenameSettings(tab) {
+    const suffix = tab === 'image' ? 'Img' : '';
+    const templateInput = document.getElementById(`filenameTemplate${suffix}`);
+    const keepCharsInput = document.getElementById(`slugKeepChars${suffix}`);
+    const keepUnicodeInput = document.getElementById(`slugKeepUnicode${suffix}`);
+    const lowercaseInput = document.getElementById(`slugLowercase${suffix}`);
+
+    return {
+        template: templateInput?.value.trim() || defaultFilenameSettings[tab].template,
+        slugRules: {
+            ...defaultSlugRules,
+            keepChars: keepCharsInput ? keepCharsInput.value : defaultSlugRules.keepChars,
+            keepUnicode: keepUnicodeInput ? keepUnicodeInput.checked : defaultSlugRules.keepUnicode,
+            lowercase: lowercaseInput ? lowercaseInput.checked : defaultSlugRules.lowercase
+        }
+    };
+}
+
+// Resolve the output base name (no extension) for a row. A non-empty
+// `filename` column overrides the template and may itself contain tokens.
+function resolveOutputFilename(row, index, settings, extraTokens = {}) {
+    const { template, slugRules } = settings || getFilenameSettings('text');
+    const pattern = row.filename || template;
+    const rowTokens = Object.fromEntries(
+        Object.entries(row).map(([key, value]) => [key, stripRichTextMarkup(String(value ?? '').replace(/\|br\|/g, ' '))])
+    );
+    const tokens = { ...rowTokens, ...extraTokens, row: String(index + 1) };
+
+    const resolved = pattern.replace(/\{([^{}]+)\}/g, (match, name) => {
+        const key = name.trim();
+        return Object.prototype.hasOwnProperty.call(tokens, key) ? tokens[key] : '';
+    });
+
+    return slugifyFilename(resolved, slugRules) || `row_${index + 1}`;
+}
+
 // Update processTextRow to use the new direct save function
-async function processTextRow(row, index, total, folders) {
+async function processTextRow(row, index, total, folders, options = {}) {
     console.log("[DEBUG] Starting row processing:", {
         rowIndex: index,
         totalRows: total,
@@ -1479,43 +2636,63 @@ async function processTextRow(row, index, total, folders) {
 
     log(`[DEBUG] Document initialized with ID: ${docInfo.id}`);
 
-    const layers = doc.layers;
+    // Assemble textN cells from their {{column}} expressions before any layer is touched
+    const errors = [];
+    row = evaluateRowExpressions(row, errors);
+    if (outputRun) {
+        outputRun.failed = null;
+    }
+
+    // Text layers may sit inside groups and artboards
+    const layers = collectLayers(doc);
     const processingStart = Date.now();
     const layerUpdates = [];
-    const errors = [];
-    let filesSaved = { png: false, psd: false };
+    let filesSaved = { png: false, psd: false, exports: [], presets: [], artboards: [] };
+    const writtenFiles = [];
 
     try {
-        // First pass: identify text layers with enhanced logging
-        const textLayers = layers.filter(layer => {
-            const isTextLayer = layer.kind === 'text' || layer.kind === 3;
-            const match = layer.name.match(/\d+/);
-            const index = match?.[0];
-            
+        // First pass: identify text layers matched by the layer matching policy
+        const policy = options.layerMatching || getLayerMatchingPolicy(doc);
+        const { matches, unmatched } = resolveLayerMatches(layers, policy);
+        const isTextLayer = layer => layer.kind === 'text' || layer.kind === 3;
+
+        // Report instead of guessing: text layers the policy does not match are skipped
+        unmatched
+            .filter(({ layer }) => isTextLayer(layer))
+            .forEach(({ label }) => log(`[DEBUG] Text layer "${label}" does not match ${policy.description}; skipped`));
+
+        const textLayers = matches.filter(({ layer, label, index }) => {
             console.log("[DEBUG] Layer analysis:", {
                 name: layer.name,
+                path: label,
                 id: layer._id,  // Use _id for API v2
                 kind: layer.kind,
-                isTextLayer,
-                match,
+                isTextLayer: isTextLayer(layer),
                 index,
-                hasTextData: index ? !!row[`text${index}`] : false,
-                hasFontData: index ? !!row[`fontsize${index}`] : false
+                hasTextData: !!row[`text${index}`],
+                hasFontData: !!row[`fontsize${index}`],
+                hasLayerData: rowHasLayerData(row, index)
             });
-            
-            return isTextLayer && index;
-        }).map(layer => ({
+
+            if (!isTextLayer(layer)) {
+                log(`[DEBUG] Layer "${label}" matches column ${index} but is not a text layer; skipped`);
+                return false;
+            }
+            return true;
+        }).map(({ layer, label, index }) => ({
             layer,
-            index: layer.name.match(/\d+/)[0],
-            hasData: !!row[`text${layer.name.match(/\d+/)[0]}`] || !!row[`fontsize${layer.name.match(/\d+/)[0]}`]
+            label,
+            index,
+            hasData: rowHasLayerData(row, index)
         }));
 
         if (textLayers.length === 0) {
-            throw new PluginError('No text layers found in document', 'NO_TEXT_LAYERS');
+            throw new PluginError(`No text layers match ${policy.description}`, 'NO_TEXT_LAYERS');
         }
 
-        console.log("[DEBUG] Found text layers:", textLayers.map(({ layer, index, hasData }) => ({
+        console.log("[DEBUG] Found text layers:", textLayers.map(({ layer, label, index, hasData }) => ({
             name: layer.name,
+            path: label,
             index,
             hasData,
             textContent: row[`text${index}`],
@@ -1523,19 +2700,22 @@ async function processTextRow(row, index, total, folders) {
         })));
 
         // Process each layer, continuing even if one fails
-        for (const { layer, index: layerIndex } of textLayers) {
-            if (row[`text${layerIndex}`] || row[`fontsize${layerIndex}`]) {
+        for (const { layer, label, index: layerIndex } of textLayers) {
+            await options.job?.checkpoint();
+            if (rowHasLayerData(row, layerIndex)) {
                 try {
-                    const result = await processLayer(layer, row, layerIndex);
-                    layerUpdates.push(result);
+                    log(`[DEBUG] Row ${index + 1}: processing layer ${label}`);
+                    const result = await processLayer(layer, row, layerIndex, options);
+                    layerUpdates.push({ ...result, path: label });
                 } catch (layerError) {
                     console.error("[DEBUG] Layer processing failed but continuing:", {
-                        layer: layer.name,
+                        layer: label,
                         error: layerError.message,
                         code: layerError.code
                     });
                     errors.push({
                         layer: layer.name,
+                        path: label,
                         error: layerError.message,
                         code: layerError.code
                     });
@@ -1545,15 +2725,18 @@ async function processTextRow(row, index, total, folders) {
             }
         }
 
+        // Log the auto-fit size chosen for each layer in this row
+        layerUpdates
+            .filter(result => result.updates.autoFit)
+            .forEach(({ path, updates }) => log(`[DEBUG] Row ${index + 1} auto-fit: ${path} = ${updates.autoFit.finalSize}pt`));
+
         // Only attempt saves if at least one layer was processed successfully
         if (layerUpdates.length > 0) {
             try {
-                // Get text content for filename
-                const text1Content = row.text1 || 'default';
-                const text2Content = row.text2 || '';
-                
-                // Generate filenames for output
-                const baseFileName = `${text1Content}_${text2Content}`.replace(/[^a-zA-Z0-9]/g, '_');
+                // Generate filenames for output from the filename template
+                const filenameSettings = options.filename || getFilenameSettings('text');
+                const docToken = { doc: documentBaseName(doc) };
+                const baseFileName = resolveOutputFilename(row, index, filenameSettings, docToken);
                 
                 // Ensure we have valid folder paths
                 if (!folders || !folders.pngFolder) {
@@ -1564,47 +2747,161 @@ async function processTextRow(row, index, total, folders) {
                 
                 // Get native paths with proper formatting
                 const pngNativePath = folders.pngNativePath || folders.pngFolder.nativePath;
+                const psdNativePath = folders.psdNativePath || folders.psdFolder?.nativePath;
                 
                 // Ensure paths are properly formatted for M1 Mac
-                const pngPath = `${pngNativePath.replace(/\\/g, '/')}/${baseFileName}.png`;
+                const defaultPngPath = `${pngNativePath.replace(/\\/g, '/')}/${baseFileName}.png`;
+                const psdPath = psdNativePath
+                    ? await claimOutputPath(`${psdNativePath.replace(/\\/g, '/')}/${baseFileName}.psd`)
+                    : null;
 
                 log("[DEBUG] Starting file saves for row " + index + ":", {
                     filename: baseFileName,
-                    png: pngPath,
-                    text1: text1Content,
-                    text2: text2Content,
+                    png: defaultPngPath,
+                    psd: psdPath,
+                    template: row.filename || filenameSettings.template,
                     timestamp: new Date().toISOString()
                 });
                 console.log(`[CURSOR SAVE] Starting file saves for row ${index}:`, {
                     filename: baseFileName,
-                    png: pngPath
+                    png: defaultPngPath
                 });
 
-                // Save PNG file using direct save first
+                // Artboard mode writes one PNG per artboard instead of the whole canvas
                 let pngSaved = false;
-                try {
-                    console.log(`[CURSOR SAVE] Attempting direct PNG save...`);
-                    const directPngResult = await directSaveFile(doc, pngPath, 'PNG');
-                    console.log(`[CURSOR SAVE] ✅ Direct PNG save succeeded:`, directPngResult);
-                    pngSaved = true;
-                    filesSaved.png = true;
-                } catch (directPngError) {
-                    console.log(`[CURSOR SAVE] ❌ Direct PNG save failed: ${directPngError.message}`);
-                    
-                    // Fall back to regular save methods
+                const artboardSettings = options.artboards || getArtboardSettings('text');
+                const { artboards, missing: missingArtboards } = artboardSettings.enabled
+                    ? await getArtboards(doc, artboardSettings.names)
+                    : { artboards: [], missing: [] };
+                missingArtboards.forEach(name => errors.push({ type: 'ARTBOARD_NOT_FOUND', error: `Artboard "${name}" not found` }));
+                if (artboardSettings.enabled && artboards.length === 0) {
+                    log(`[DEBUG] No artboards to export in ${doc.name}; saving the whole canvas`);
+                }
+                const pngPath = artboards.length === 0 ? await claimOutputPath(defaultPngPath) : null;
+
+                if (artboards.length > 0) {
+                    for (const artboard of artboards) {
+                        const artboardPath = await claimOutputPath(
+                            `${pngNativePath.replace(/\\/g, '/')}/${resolveArtboardFilename(row, index, filenameSettings, artboard.name, docToken)}.png`
+                        );
+                        if (!artboardPath) {
+                            continue;
+                        }
+                        try {
+                            await app.executeAsModal(
+                                () => saveArtboardPNG(doc, artboard, artboardPath),
+                                { commandName: `Export ${artboard.name}` }
+                            );
+                            filesSaved.artboards.push(artboardPath);
+                            filesSaved.png = true;
+                        } catch (artboardError) {
+                            console.log(`[CURSOR SAVE] ❌ ${artboardError.message}`);
+                            errors.push({
+                                type: 'ARTBOARD_SAVE',
+                                artboard: artboard.name,
+                                error: artboardError.message,
+                                path: artboardPath
+                            });
+                        }
+                    }
+                } else if (pngPath) {
+                    // Save PNG file using direct save first
                     try {
-                        console.log(`[CURSOR SAVE] Falling back to regular PNG save methods...`);
-                        const pngSaveResult = await saveAsPNG(doc, pngPath);
-                        console.log(`[CURSOR SAVE] ✅ PNG save result:`, pngSaveResult);
+                        console.log(`[CURSOR SAVE] Attempting direct PNG save...`);
+                        const directPngResult = await directSaveFile(doc, pngPath, 'PNG');
+                        console.log(`[CURSOR SAVE] ✅ Direct PNG save succeeded:`, directPngResult);
                         pngSaved = true;
                         filesSaved.png = true;
-                    } catch (pngError) {
-                        console.log(`[CURSOR SAVE] ❌ All PNG save methods failed`);
+                    } catch (directPngError) {
+                        console.log(`[CURSOR SAVE] ❌ Direct PNG save failed: ${directPngError.message}`);
+                    
+                        // Fall back to regular save methods
+                        try {
+                            console.log(`[CURSOR SAVE] Falling back to regular PNG save methods...`);
+                            const pngSaveResult = await saveAsPNG(doc, pngPath);
+                            console.log(`[CURSOR SAVE] ✅ PNG save result:`, pngSaveResult);
+                            pngSaved = true;
+                            filesSaved.png = true;
+                        } catch (pngError) {
+                            console.log(`[CURSOR SAVE] ❌ All PNG save methods failed`);
+                            errors.push({
+                                type: 'PNG_SAVE',
+                                error: pngError.message,
+                                directError: directPngError.message,
+                                path: pngPath
+                            });
+                        }
+                    }
+                }
+
+                // Save a layered PSD copy so designers can touch up each label by hand
+                let psdSaved = false;
+                if (psdPath) {
+                    try {
+                        console.log(`[CURSOR SAVE] Attempting direct PSD save...`);
+                        const directPsdResult = await directSaveFile(doc, psdPath, 'PSD');
+                        console.log(`[CURSOR SAVE] ✅ Direct PSD save succeeded:`, directPsdResult);
+                        psdSaved = true;
+                        filesSaved.psd = true;
+                    } catch (directPsdError) {
+                        console.log(`[CURSOR SAVE] ❌ Direct PSD save failed: ${directPsdError.message}`);
+                        try {
+                            console.log(`[CURSOR SAVE] Falling back to regular PSD save methods...`);
+                            const psdSaveResult = await saveAsPSD(doc, psdPath);
+                            console.log(`[CURSOR SAVE] ✅ PSD save result:`, psdSaveResult);
+                            psdSaved = true;
+                            filesSaved.psd = true;
+                        } catch (psdError) {
+                            console.log(`[CURSOR SAVE] ❌ All PSD save methods failed`);
+                            errors.push({
+                                type: 'PSD_SAVE',
+                                error: psdError.message,
+                                directError: directPsdError.message,
+                                path: psdPath
+                            });
+                        }
+                    }
+                }
+
+                // Save the configured export targets (JPEG, WebP, TIFF, PDF)
+                for (const target of folders.exportTargets || []) {
+                    try {
+                        // Duplicating, flattening and converting need a modal scope
+                        const exportResult = await app.executeAsModal(
+                            () => saveExportTarget(doc, baseFileName, target),
+                            { commandName: `Export ${exportFormats[target.format].label}` }
+                        );
+                        if (!exportResult.skipped) {
+                            filesSaved.exports.push(exportResult.path);
+                        }
+                    } catch (exportError) {
+                        console.log(`[CURSOR SAVE] ❌ ${exportError.message}`);
+                        errors.push({
+                            type: 'EXPORT_SAVE',
+                            format: target.format,
+                            error: exportError.message,
+                            path: exportError.details?.path
+                        });
+                    }
+                }
+
+                // Save every size preset from a resized duplicate
+                for (const preset of folders.sizePresets || []) {
+                    try {
+                        const presetResult = await app.executeAsModal(
+                            () => saveSizePreset(doc, baseFileName, preset),
+                            { commandName: `Export ${preset.name}` }
+                        );
+                        if (!presetResult.skipped) {
+                            filesSaved.presets.push(presetResult.path);
+                        }
+                    } catch (presetError) {
+                        console.log(`[CURSOR SAVE] ❌ ${presetError.message}`);
                         errors.push({
-                            type: 'PNG_SAVE',
-                            error: pngError.message,
-                            directError: directPngError.message,
-                            path: pngPath
+                            type: 'PRESET_SAVE',
+                            preset: preset.name,
+                            error: presetError.message,
+                            path: presetError.details?.path
                         });
                     }
                 }
@@ -1613,19 +2910,11 @@ async function processTextRow(row, index, total, folders) {
                 try {
                     log(`[DEBUG] Verifying saved files exist...`);
                     console.log(`[CURSOR SAVE] Verifying saved files exist...`);
-                    const fs = require('uxp').storage.localFileSystem;
-                    
+
                     // Verify PNG file
                     if (pngSaved) {
                         try {
-                            // Extract directory path and filename
-                            const pathParts = pngPath.split('/');
-                            const fileName = pathParts.pop();
-                            const dirPath = pathParts.join('/');
-                            
-                            // Get the directory
-                            const pngDir = await fs.getFolder(dirPath);
-                            const pngExists = await pngDir.getEntry(fileName);
+                            const pngExists = await getEntryAtPath(pngPath);
                             
                             if (pngExists) {
                                 log(`[DEBUG] ✅ PNG file verified: ${pngExists.nativePath}`);
@@ -1644,17 +2933,50 @@ async function processTextRow(row, index, total, folders) {
                             filesSaved.png = false;
                         }
                     }
+
+                    // Verify PSD file
+                    if (psdSaved) {
+                        try {
+                            const psdExists = await getEntryAtPath(psdPath);
+                            if (!psdExists) {
+                                throw new Error(`${psdPath} not found after save`);
+                            }
+                            log(`[DEBUG] ✅ PSD file verified: ${psdExists.nativePath} (${await psdExists.size} bytes)`);
+                            console.log(`[CURSOR SAVE] ✅ PSD file verified: ${psdExists.nativePath}`);
+                        } catch (psdVerifyError) {
+                            log(`[DEBUG] ❌ PSD file verification failed: ${psdVerifyError.message}`);
+                            console.log(`[CURSOR SAVE] ❌ PSD file verification failed: ${psdVerifyError.message}`);
+                            filesSaved.psd = false;
+                        }
+                    }
                 } catch (verifyError) {
                     log(`[DEBUG] File verification error: ${verifyError.message}`);
                     console.log(`[CURSOR SAVE] File verification error: ${verifyError.message}`);
                 }
 
+                // Every file this row wrote, for the run manifest
+                writtenFiles.push(
+                    ...[pngSaved && filesSaved.png ? pngPath : null, psdSaved && filesSaved.psd ? psdPath : null].filter(Boolean),
+                    ...filesSaved.artboards,
+                    ...filesSaved.exports,
+                    ...filesSaved.presets
+                );
+
                 // Log file save summary
-                if (pngSaved) {
+                if (filesSaved.png || psdSaved) {
                     log(`[DEBUG] ✅ Row ${index} processing complete with files saved:`);
                     console.log(`[CURSOR SAVE] ✅ Row ${index} processing complete with files saved:`);
-                    log(`[DEBUG]   - PNG: ${pngPath}`);
-                    console.log(`[CURSOR SAVE]   - PNG: ${pngPath}`);
+                    if (pngSaved) {
+                        log(`[DEBUG]   - PNG: ${pngPath}`);
+                        console.log(`[CURSOR SAVE]   - PNG: ${pngPath}`);
+                    }
+                    if (psdSaved) {
+                        log(`[DEBUG]   - PSD: ${psdPath}`);
+                        console.log(`[CURSOR SAVE]   - PSD: ${psdPath}`);
+                    }
+                    filesSaved.artboards.forEach(artboardPath => log(`[DEBUG]   - Artboard: ${artboardPath}`));
+                    filesSaved.exports.forEach(exportPath => log(`[DEBUG]   - Export: ${exportPath}`));
+                    filesSaved.presets.forEach(presetPath => log(`[DEBUG]   - Preset: ${presetPath}`));
                 } else {
                     log(`[DEBUG] ❌ Row ${index} processing complete but NO FILES SAVED`);
                     console.log(`[CURSOR SAVE] ❌ Row ${index} processing complete but NO FILES SAVED`);
@@ -1665,7 +2987,11 @@ async function processTextRow(row, index, total, folders) {
                     await writeToMCPRelay({
                         status: 'success',
                         files: {
-                            png: pngSaved ? pngPath : null
+                            png: pngSaved ? pngPath : null,
+                            psd: psdSaved ? psdPath : null,
+                            artboards: filesSaved.artboards,
+                            exports: filesSaved.exports,
+                            presets: filesSaved.presets
                         },
                         timestamp: new Date().toISOString()
                     });
@@ -1682,13 +3008,20 @@ async function processTextRow(row, index, total, folders) {
             }
         }
 
+        // Under the "fail" collision policy a collision fails the whole row
+        if (outputRun?.failed) {
+            throw outputRun.failed;
+        }
+
         // Return processing results
         return {
             success: layerUpdates.length > 0,
             processed: layerUpdates.length,
             errors: errors.length > 0 ? errors : null,
             duration: Date.now() - processingStart,
-            filesSaved: filesSaved
+            filesSaved: filesSaved,
+            files: writtenFiles,
+            values: pickLayerValues(row)
         };
     } catch (error) {
         log(`[DEBUG] Row processing error: ${error.message}`);
@@ -1697,6 +3030,200 @@ async function processTextRow(row, index, total, folders) {
     }
 }
 
+// Process one image CSV row: open each psdnameN template from the input folder,
+// swap imgN smart objects for imgnameN files, save PSD/PNG copies and close the template
+async function processImageRow(row, index, total, folders, options = {}) {
+    console.log("[DEBUG] Starting image row processing:", {
+        rowIndex: index,
+        totalRows: total,
+        timestamp: new Date().toISOString()
+    });
+
+    const inputFolder = imageReplaceState.data.inputFolder;
+    if (!inputFolder) {
+        throw new PluginError('Input folder not selected', 'INPUT_FOLDER_NOT_SELECTED');
+    }
+    if (!folders || !folders.pngFolder || !folders.psdFolder) {
+        throw new PluginError('Invalid folder structure for saving', 'FOLDER_SETUP_ERROR', { folders });
+    }
+    if (outputRun) {
+        outputRun.failed = null;
+    }
+
+    const processingStart = Date.now();
+    const templateColumns = Object.keys(row).filter(key => /^psdname\d+$/.test(key) && row[key]);
+    if (templateColumns.length === 0) {
+        throw new PluginError(`Row ${index + 1} has no psdname columns`, 'NO_TEMPLATE_COLUMNS', { row });
+    }
+
+    const replacements = [];
+    const errors = [];
+    const filesSaved = [];
+
+    for (const column of templateColumns) {
+        await options.job?.checkpoint();
+        const psdName = row[column];
+        let doc = null;
+
+        try {
+            const psdFile = await inputFolder.getEntry(psdName);
+            doc = await app.executeAsModal(
+                () => app.open(psdFile),
+                { commandName: `Open ${psdName}` }
+            );
+            log(`[DEBUG] Opened template ${psdName} for row ${index + 1}`);
+
+            // Replace every imgN layer that has a matching imgnameN value
+            const imageLayers = collectLayers(doc, layer => /^img\d+$/.test(layer.name));
+            for (const { layer, label } of imageLayers) {
+                const imageName = row[`imgname${layer.name.slice(3)}`];
+                if (!imageName) {
+                    continue;
+                }
+                await options.job?.checkpoint();
+                try {
+                    const imageFile = await inputFolder.getEntry(imageName);
+                    await app.executeAsModal(
+                        () => replaceImage(layer, imageFile),
+                        { commandName: `Replace ${layer.name}` }
+                    );
+                    replacements.push({ template: psdName, layer: layer.name, path: label, image: imageName });
+                    log(`[DEBUG] Replaced ${label} with ${imageName}`);
+                } catch (layerError) {
+                    errors.push({ template: psdName, layer: layer.name, path: label, error: layerError.message, code: layerError.code });
+                    log(`[DEBUG] Image replacement failed for ${label}: ${layerError.message}`);
+                }
+            }
+
+            if (!replacements.some(r => r.template === psdName)) {
+                throw new PluginError(`No img layers were replaced in ${psdName}`, 'NO_IMAGE_LAYERS');
+            }
+
+            // Save PSD and PNG copies of the updated template
+            const filenameSettings = options.filename || getFilenameSettings('image');
+            const templateToken = { template: psdName.replace(/\.psd$/i, '') };
+            const baseFileName = resolveOutputFilename(row, index, filenameSettings, templateToken);
+
+            await app.executeAsModal(async () => {
+                const psdPath = await claimOutputPath(`${folders.psdNativePath}/${baseFileName}.psd`);
+                if (psdPath) {
+                    try {
+                        await directSaveFile(doc, psdPath, 'PSD');
+                        filesSaved.push(psdPath);
+                    } catch (psdError) {
+                        errors.push({ type: 'PSD_SAVE', error: psdError.message, path: psdPath });
+                    }
+                }
+
+                // Artboard mode writes one PNG per artboard instead of the whole canvas
+                const artboardSettings = options.artboards || getArtboardSettings('image');
+                const { artboards, missing } = artboardSettings.enabled
+                    ? await getArtboards(doc, artboardSettings.names)
+                    : { artboards: [], missing: [] };
+                missing.forEach(name => errors.push({ template: psdName, type: 'ARTBOARD_NOT_FOUND', error: `Artboard "${name}" not found` }));
+
+                for (const artboard of artboards) {
+                    const artboardPath = await claimOutputPath(
+                        `${folders.pngNativePath}/${resolveArtboardFilename(row, index, filenameSettings, artboard.name, templateToken)}.png`
+                    );
+                    if (!artboardPath) {
+                        continue;
+                    }
+                    try {
+                        await saveArtboardPNG(doc, artboard, artboardPath);
+                        filesSaved.push(artboardPath);
+                    } catch (artboardError) {
+                        errors.push({ template: psdName, type: 'ARTBOARD_SAVE', artboard: artboard.name, error: artboardError.message, path: artboardPath });
+                    }
+                }
+
+                const pngPath = artboards.length === 0
+                    ? await claimOutputPath(`${folders.pngNativePath}/${baseFileName}.png`)
+                    : null;
+                if (pngPath) {
+                    try {
+                        await directSaveFile(doc, pngPath, 'PNG');
+                        filesSaved.push(pngPath);
+                    } catch (directPngError) {
+                        try {
+                            await saveAsPNG(doc, pngPath);
+                            filesSaved.push(pngPath);
+                        } catch (pngError) {
+                            errors.push({ type: 'PNG_SAVE', error: pngError.message, directError: directPngError.message, path: pngPath });
+                        }
+                    }
+                }
+
+                for (const target of folders.exportTargets || []) {
+                    try {
+                        const exportResult = await saveExportTarget(doc, baseFileName, target);
+                        if (!exportResult.skipped) {
+                            filesSaved.push(exportResult.path);
+                        }
+                    } catch (exportError) {
+                        errors.push({ type: 'EXPORT_SAVE', format: target.format, error: exportError.message, path: exportError.details?.path });
+                    }
+                }
+            }, { commandName: `Save ${baseFileName}` });
+        } catch (templateError) {
+            // Under the "fail" collision policy a collision fails the whole row
+            if (templateError.code === 'OUTPUT_COLLISION' || templateError.code === 'JOB_CANCELLED') {
+                throw templateError;
+            }
+            errors.push({ template: psdName, error: templateError.message, code: templateError.code });
+            log(`[DEBUG] Template ${psdName} failed for row ${index + 1}: ${templateError.message}`);
+        } finally {
+            // Never write changes back to the template itself
+            if (doc) {
+                try {
+                    await app.executeAsModal(
+                        () => doc.closeWithoutSaving(),
+                        { commandName: `Close ${psdName}` }
+                    );
+                } catch (closeError) {
+                    log(`[DEBUG] Failed to close ${psdName}: ${closeError.message}`);
+                }
+            }
+        }
+    }
+
+    // Under the "fail" collision policy a collision fails the whole row
+    if (outputRun?.failed) {
+        throw outputRun.failed;
+    }
+
+    filesSaved.forEach(path => log(`[DEBUG]   - Saved: ${path}`));
+    if (errors.length > 0) {
+        log(`[DEBUG] ❌ Row ${index + 1} finished with ${errors.length} error(s)`);
+    } else {
+        log(`[Cursor OK] Image row ${index + 1}/${total} processed: ${filesSaved.length} files saved`);
+    }
+
+    try {
+        await writeToMCPRelay({
+            status: errors.length > 0 ? 'partial' : 'success',
+            tab: 'image',
+            row: index + 1,
+            replacements,
+            files: filesSaved,
+            errors: errors.length > 0 ? errors : null,
+            timestamp: new Date().toISOString()
+        });
+    } catch (mcpError) {
+        log(`[DEBUG] MCP relay write failed: ${mcpError.message}`);
+    }
+
+    return {
+        success: filesSaved.length > 0,
+        processed: replacements.length,
+        errors: errors.length > 0 ? errors : null,
+        duration: Date.now() - processingStart,
+        filesSaved,
+        files: filesSaved,
+        values: pickLayerValues(row)
+    };
+}
+
 async function verifyFontSize(layer, expectedSize) {
     try {
         log(`[DEBUG] Starting font size verification for layer "${layer.name}" (ID: ${layer._id})`);
@@ -1828,88 +3355,350 @@ async function updateFontSize(layer, fontSize) {
                     }
                 };
 
-                const result = await batchPlay(
-                    [command],
-                    {
-                        synchronousExecution: true,
-                        modalBehavior: "execute"
-                    }
-                );
+                const result = await batchPlay(
+                    [command],
+                    {
+                        synchronousExecution: true,
+                        modalBehavior: "execute"
+                    }
+                );
+
+                updateMethods.push('batchPlay textStyle');
+                log(`[DEBUG] Font size updated via batchPlay textStyle`);
+
+                // Quick verify
+                await wait(delays.fontUpdate);
+                if (await verifyFontSize(layer, size)) {
+                    updateSuccess = true;
+                    log(`[DEBUG] BatchPlay textStyle update verified successfully`);
+                }
+            } catch (batchError) {
+                log(`[DEBUG] BatchPlay textStyle update failed: ${batchError.message}`);
+            }
+        }
+
+        // Method 3: Try alternative batchPlay method if previous methods failed
+        if (!updateSuccess) {
+            try {
+                const altCommand = {
+                    _obj: "set",
+                    _target: [
+                        { 
+                            _ref: "property",
+                            _property: "textStyle"
+                        },
+                        { 
+                            _ref: "textLayer",
+                            _id: layer._id 
+                        }
+                    ],
+                    to: { 
+                        _obj: "textStyle",
+                        size: {
+                            _unit: "pointsUnit",
+                            _value: size
+                        }
+                    },
+                    _options: { 
+                        dialogOptions: "dontDisplay"
+                    }
+                };
+
+                await batchPlay([altCommand], {
+                    synchronousExecution: true,
+                    modalBehavior: "execute"
+                });
+
+                updateMethods.push('batchPlay property');
+                log(`[DEBUG] Font size updated via batchPlay property`);
+
+                // Final verification
+                await wait(delays.fontUpdate);
+                if (await verifyFontSize(layer, size)) {
+                    updateSuccess = true;
+                    log(`[DEBUG] BatchPlay property update verified successfully`);
+                }
+            } catch (altError) {
+                log(`[DEBUG] BatchPlay property update failed: ${altError.message}`);
+            }
+        }
+
+        // Final status check
+        if (!updateSuccess) {
+            throw new Error(`Font size change could not be verified after trying multiple methods: ${updateMethods.join(', ')}`);
+        }
+
+        log(`[Cursor OK] Font size updated and verified for layer: ${layer.name} to ${size}pt`);
+        
+        // Write to MCP relay for tracking
+        await writeToMCPRelay({
+            command: "sendLog",
+            message: `Font size updated and verified: ${layer.name} -> ${size}pt`,
+            metrics: {
+                layer: layer.name,
+                targetSize: size,
+                verified: true,
+                methodsUsed: updateMethods
+            },
+            timestamp: new Date().toISOString()
+        });
+
+        return true;
+
+    } catch (error) {
+        log(`[DEBUG] Font size update error for layer ${layer?.name}: ${error.message}`);
+        throw new PluginError(
+            `Failed to update font size in layer ${layer?.name}`,
+            'FONT_SIZE_UPDATE_ERROR',
+            { originalError: error, layer: layer?.name, fontSize }
+        );
+    }
+}
+
+// Per-layer CSV columns, each suffixed with the layer index N (text1, color1, ...)
+const layerColumnPattern = /^(text|fontsize|color|font|tracking|leading|align|fauxBold|caps|autofit)(\d+)$/;
+
+const parseBooleanCell = value => {
+    const normalized = String(value).trim().toLowerCase();
+    if (['true', 'yes', '1', 'on'].includes(normalized)) return true;
+    if (['false', 'no', '0', 'off'].includes(normalized)) return false;
+    throw new Error(`expected true/false, got "${value}"`);
+};
+
+// dom names the constants.Justification member used by the DOM fallback
+const alignmentValues = {
+    'left': { batchPlay: 'left', dom: 'LEFT' },
+    'center': { batchPlay: 'center', dom: 'CENTER' },
+    'right': { batchPlay: 'right', dom: 'RIGHT' },
+    'justify': { batchPlay: 'justifyLeft', dom: 'LEFTJUSTIFIED' },
+    'justify-left': { batchPlay: 'justifyLeft', dom: 'LEFTJUSTIFIED' },
+    'justify-center': { batchPlay: 'justifyCenter', dom: 'CENTERJUSTIFIED' },
+    'justify-right': { batchPlay: 'justifyRight', dom: 'RIGHTJUSTIFIED' },
+    'justify-all': { batchPlay: 'justifyAll', dom: 'FULLYJUSTIFIED' }
+};
+
+const capsValues = { all: 'allCaps', small: 'smallCaps', normal: 'normal' };
+
+// Extended text style columns. Each entry parses the CSV cell, builds the
+// batchPlay textStyle/paragraphStyle fields, applies the same value through the
+// DOM as a fallback, and reads it back for verification.
+const textStyleProperties = {
+    color: {
+        label: 'color',
+        parse: value => {
+            const match = String(value).trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+            if (!match) throw new Error(`expected a hex color, got "${value}"`);
+            const hex = match[1].length === 3 ? [...match[1]].map(c => c + c).join('') : match[1];
+            return {
+                red: parseInt(hex.slice(0, 2), 16),
+                green: parseInt(hex.slice(2, 4), 16),
+                blue: parseInt(hex.slice(4, 6), 16)
+            };
+        },
+        descriptor: rgb => ({ color: { _obj: "RGBColor", red: rgb.red, grain: rgb.green, blue: rgb.blue } }),
+        applyDOM: (textItem, rgb) => {
+            const color = new app.SolidColor();
+            color.rgb.red = rgb.red;
+            color.rgb.green = rgb.green;
+            color.rgb.blue = rgb.blue;
+            textItem.characterStyle.color = color;
+        },
+        read: textItem => {
+            const rgb = textItem.characterStyle.color?.rgb;
+            return rgb ? { red: rgb.red, green: rgb.green, blue: rgb.blue } : undefined;
+        },
+        matches: (actual, expected) => ['red', 'green', 'blue']
+            .every(channel => Math.abs(actual[channel] - expected[channel]) <= 1)
+    },
+    font: {
+        label: 'font',
+        parse: value => {
+            const name = String(value).trim();
+            if (!name || /\s/.test(name)) throw new Error(`expected a PostScript font name, got "${value}"`);
+            return name;
+        },
+        descriptor: name => ({ fontPostScriptName: name }),
+        applyDOM: (textItem, name) => { textItem.characterStyle.font = name; },
+        read: textItem => textItem.characterStyle.font,
+        matches: (actual, expected) => actual === expected
+    },
+    tracking: {
+        label: 'tracking',
+        parse: value => {
+            const tracking = parseFloat(value);
+            if (isNaN(tracking)) throw new Error(`expected a number, got "${value}"`);
+            return Math.round(tracking);
+        },
+        descriptor: tracking => ({ tracking }),
+        applyDOM: (textItem, tracking) => { textItem.characterStyle.tracking = tracking; },
+        read: textItem => textItem.characterStyle.tracking,
+        matches: (actual, expected) => Math.abs(actual - expected) < 0.5
+    },
+    leading: {
+        label: 'leading',
+        parse: value => {
+            if (String(value).trim().toLowerCase() === 'auto') return 'auto';
+            const leading = parseFloat(value);
+            if (isNaN(leading) || leading <= 0) throw new Error(`expected "auto" or a point size, got "${value}"`);
+            return leading;
+        },
+        descriptor: leading => leading === 'auto'
+            ? { autoLeading: true }
+            : { autoLeading: false, leading: { _unit: "pointsUnit", _value: leading } },
+        applyDOM: (textItem, leading) => {
+            textItem.characterStyle.useAutoLeading = leading === 'auto';
+            if (leading !== 'auto') textItem.characterStyle.leading = leading;
+        },
+        read: textItem => textItem.characterStyle.useAutoLeading ? 'auto' : textItem.characterStyle.leading,
+        matches: (actual, expected) => expected === 'auto'
+            ? actual === 'auto'
+            : Math.abs(parseFloat(actual) - expected) < 0.1
+    },
+    align: {
+        label: 'alignment',
+        paragraph: true,
+        parse: value => {
+            const alignment = alignmentValues[String(value).trim().toLowerCase()];
+            if (!alignment) throw new Error(`expected one of ${Object.keys(alignmentValues).join(', ')}, got "${value}"`);
+            return alignment;
+        },
+        descriptor: alignment => ({ align: { _enum: "alignmentType", _value: alignment.batchPlay } }),
+        applyDOM: (textItem, alignment) => { textItem.paragraphStyle.justification = constants.Justification[alignment.dom]; },
+        read: textItem => textItem.paragraphStyle.justification,
+        matches: (actual, expected) => String(actual).toLowerCase() === String(constants.Justification[expected.dom]).toLowerCase()
+    },
+    fauxBold: {
+        label: 'faux bold',
+        parse: parseBooleanCell,
+        descriptor: enabled => ({ syntheticBold: enabled }),
+        applyDOM: (textItem, enabled) => { textItem.characterStyle.fauxBold = enabled; },
+        read: textItem => textItem.characterStyle.fauxBold,
+        matches: (actual, expected) => !!actual === expected
+    },
+    caps: {
+        label: 'caps',
+        parse: value => {
+            const caps = capsValues[String(value).trim().toLowerCase()];
+            if (!caps) throw new Error(`expected all, small or normal, got "${value}"`);
+            return caps;
+        },
+        descriptor: caps => ({ fontCaps: { _enum: "fontCaps", _value: caps } }),
+        applyDOM: (textItem, caps) => { textItem.characterStyle.capitalization = caps; },
+        read: textItem => textItem.characterStyle.capitalization,
+        matches: (actual, expected) => String(actual).toLowerCase() === expected.toLowerCase()
+    }
+};
+
+// Parse a style cell, wrapping parse failures in an INVALID_STYLE_VALUE error
+function parseTextStyleValue(property, value) {
+    try {
+        return textStyleProperties[property].parse(value);
+    } catch (parseError) {
+        throw new PluginError(
+            `Invalid ${textStyleProperties[property].label}: ${parseError.message}`,
+            'INVALID_STYLE_VALUE',
+            { property, value }
+        );
+    }
+}
+
+async function verifyTextStyle(layer, property, expected) {
+    const spec = textStyleProperties[property];
+    try {
+        log(`[DEBUG] Starting ${spec.label} verification for layer "${layer.name}" (ID: ${layer._id})`);
+
+        const actual = await app.executeAsModal(async () => spec.read(layer.textItem));
+        if (actual === undefined || actual === null) {
+            log(`[DEBUG] ❌ No ${spec.label} measurement obtained`);
+            return false;
+        }
 
-                updateMethods.push('batchPlay textStyle');
-                log(`[DEBUG] Font size updated via batchPlay textStyle`);
+        if (!spec.matches(actual, expected)) {
+            log(`[DEBUG] ❌ ${spec.label} mismatch detected: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+            return false;
+        }
 
-                // Quick verify
-                await wait(delays.fontUpdate);
-                if (await verifyFontSize(layer, size)) {
-                    updateSuccess = true;
-                    log(`[DEBUG] BatchPlay textStyle update verified successfully`);
-                }
-            } catch (batchError) {
-                log(`[DEBUG] BatchPlay textStyle update failed: ${batchError.message}`);
-            }
+        log(`[DEBUG] ✅ ${spec.label} verified successfully`);
+        return true;
+
+    } catch (error) {
+        log(`[DEBUG] ❌ ${spec.label} verification failed with error: ${error.message}`);
+        return false;
+    }
+}
+
+async function updateTextStyle(layer, property, rawValue) {
+    const spec = textStyleProperties[property];
+    try {
+        if (!layer?.name) {
+            throw new PluginError('Invalid layer object', 'INVALID_LAYER');
         }
 
-        // Method 3: Try alternative batchPlay method if previous methods failed
-        if (!updateSuccess) {
-            try {
-                const altCommand = {
+        const value = parseTextStyleValue(property, rawValue);
+        log(`[DEBUG] Starting ${spec.label} update for layer: ${layer.name} to: ${rawValue}`);
+
+        let updateSuccess = false;
+        const updateMethods = [];
+
+        // Method 1: batchPlay textStyle / paragraphStyle
+        try {
+            const styleObject = spec.paragraph ? "paragraphStyle" : "textStyle";
+            await batchPlay(
+                [{
                     _obj: "set",
                     _target: [
-                        { 
-                            _ref: "property",
-                            _property: "textStyle"
-                        },
-                        { 
-                            _ref: "textLayer",
-                            _id: layer._id 
-                        }
+                        { _ref: "property", _property: styleObject },
+                        { _ref: "textLayer", _id: layer._id }
                     ],
-                    to: { 
-                        _obj: "textStyle",
-                        size: {
-                            _unit: "pointsUnit",
-                            _value: size
-                        }
-                    },
-                    _options: { 
-                        dialogOptions: "dontDisplay"
-                    }
-                };
-
-                await batchPlay([altCommand], {
+                    to: { _obj: styleObject, ...spec.descriptor(value) },
+                    _isCommand: true,
+                    _options: { dialogOptions: "dontDisplay" }
+                }],
+                {
                     synchronousExecution: true,
                     modalBehavior: "execute"
-                });
+                }
+            );
 
-                updateMethods.push('batchPlay property');
-                log(`[DEBUG] Font size updated via batchPlay property`);
+            updateMethods.push(`batchPlay ${styleObject}`);
+            await wait(delays.fontUpdate);
+            if (await verifyTextStyle(layer, property, value)) {
+                updateSuccess = true;
+                log(`[DEBUG] BatchPlay ${styleObject} ${spec.label} update verified successfully`);
+            }
+        } catch (batchError) {
+            log(`[DEBUG] BatchPlay ${spec.label} update failed: ${batchError.message}`);
+        }
+
+        // Method 2: DOM API if batchPlay could not be verified
+        if (!updateSuccess) {
+            try {
+                await app.executeAsModal(async () => spec.applyDOM(layer.textItem, value));
+                updateMethods.push('DOM API');
 
-                // Final verification
                 await wait(delays.fontUpdate);
-                if (await verifyFontSize(layer, size)) {
+                if (await verifyTextStyle(layer, property, value)) {
                     updateSuccess = true;
-                    log(`[DEBUG] BatchPlay property update verified successfully`);
+                    log(`[DEBUG] DOM API ${spec.label} update verified successfully`);
                 }
-            } catch (altError) {
-                log(`[DEBUG] BatchPlay property update failed: ${altError.message}`);
+            } catch (domError) {
+                log(`[DEBUG] DOM API ${spec.label} update failed: ${domError.message}`);
             }
         }
 
-        // Final status check
         if (!updateSuccess) {
-            throw new Error(`Font size change could not be verified after trying multiple methods: ${updateMethods.join(', ')}`);
+            throw new Error(`${spec.label} change could not be verified after trying: ${updateMethods.join(', ')}`);
         }
 
-        log(`[Cursor OK] Font size updated and verified for layer: ${layer.name} to ${size}pt`);
-        
-        // Write to MCP relay for tracking
+        log(`[Cursor OK] ${spec.label} updated and verified for layer: ${layer.name} -> ${rawValue}`);
+
         await writeToMCPRelay({
             command: "sendLog",
-            message: `Font size updated and verified: ${layer.name} -> ${size}pt`,
+            message: `Text style updated and verified: ${layer.name} ${spec.label} -> ${rawValue}`,
             metrics: {
                 layer: layer.name,
-                targetSize: size,
+                property,
+                value: rawValue,
                 verified: true,
                 methodsUsed: updateMethods
             },
@@ -1919,19 +3708,117 @@ async function updateFontSize(layer, fontSize) {
         return true;
 
     } catch (error) {
-        log(`[DEBUG] Font size update error for layer ${layer?.name}: ${error.message}`);
+        log(`[DEBUG] ${spec.label} update error for layer ${layer?.name}: ${error.message}`);
         throw new PluginError(
-            `Failed to update font size in layer ${layer?.name}`,
-            'FONT_SIZE_UPDATE_ERROR',
-            { originalError: error, layer: layer?.name, fontSize }
+            `Failed to update ${spec.label} in layer ${layer?.name}`,
+            'TEXT_STYLE_UPDATE_ERROR',
+            { originalError: error, layer: layer?.name, property, value: rawValue }
+        );
+    }
+}
+
+// Auto-fit defaults; the panel inputs and autofitN cells override them
+const defaultAutoFitSettings = {
+    minSize: 6,
+    step: 0.5,
+    tolerance: 1,
+    maxSteps: 40
+};
+
+// Read the auto-fit minimum size and step from the text tab
+function getAutoFitSettings() {
+    const minSize = parseFloat(document.getElementById('autofitMinSize')?.value);
+    const step = parseFloat(document.getElementById('autofitStep')?.value);
+    return {
+        ...defaultAutoFitSettings,
+        minSize: minSize > 0 ? minSize : defaultAutoFitSettings.minSize,
+        step: step > 0 ? step : defaultAutoFitSettings.step
+    };
+}
+
+// autofitN cells: a number enables auto-fit with that minimum size (0 turns it
+// off), otherwise true/false toggles it. Numbers are checked first so "1" means
+// a 1pt minimum rather than "enabled".
+function parseAutoFitCell(value) {
+    const text = String(value).trim();
+    if (text !== '' && !isNaN(Number(text))) {
+        const minSize = Number(text);
+        if (minSize < 0) {
+            throw new PluginError(
+                `Invalid auto-fit: minimum size must not be negative, got "${value}"`,
+                'INVALID_STYLE_VALUE',
+                { property: 'autofit', value }
+            );
+        }
+        return minSize === 0 ? { enabled: false } : { enabled: true, minSize };
+    }
+    try {
+        return { enabled: parseBooleanCell(value) };
+    } catch (booleanError) {
+        throw new PluginError(
+            `Invalid auto-fit: expected true/false or a minimum size, got "${value}"`,
+            'INVALID_STYLE_VALUE',
+            { property: 'autofit', value }
         );
     }
 }
 
+// Width/height of a layer's pixels, ignoring effects where the API allows it
+function getLayerSize(layer) {
+    const bounds = layer.boundsNoEffects || layer.bounds;
+    return {
+        width: bounds.right - bounds.left,
+        height: bounds.bottom - bounds.top
+    };
+}
+
+// Shrink a point-text layer until it fits the bounds recorded before the text
+// was replaced. The first step jumps to the proportional size, then the size
+// is reduced by `step` until it fits or reaches `minSize`.
+async function fitTextToBounds(layer, originalSize, settings) {
+    const { minSize, step, tolerance, maxSteps } = settings;
+    const fits = size => size.width <= originalSize.width + tolerance &&
+        size.height <= originalSize.height + tolerance;
+
+    let currentSize = getLayerSize(layer);
+    let fontSize = await app.executeAsModal(async () => layer.textItem.characterStyle.size);
+    if (typeof fontSize !== 'number' || isNaN(fontSize)) {
+        throw new PluginError(`Cannot read font size of layer ${layer.name}`, 'AUTO_FIT_ERROR', { fontSize });
+    }
+    const startSize = fontSize;
+    let steps = 0;
+
+    log(`[DEBUG] Auto-fit ${layer.name}: box ${originalSize.width}x${originalSize.height}, text ${currentSize.width}x${currentSize.height} at ${fontSize}pt`);
+
+    while (!fits(currentSize) && fontSize > minSize && steps < maxSteps) {
+        const ratio = Math.min(originalSize.width / currentSize.width, originalSize.height / currentSize.height);
+        const proportional = Math.floor((fontSize * ratio) / step) * step;
+        const nextSize = Math.max(minSize, steps === 0 ? Math.min(proportional, fontSize - step) : fontSize - step);
+
+        await updateFontSize(layer, nextSize);
+        fontSize = nextSize;
+        currentSize = getLayerSize(layer);
+        steps++;
+    }
+
+    const fitted = fits(currentSize);
+    if (!fitted) {
+        log(`[DEBUG] ❌ Auto-fit ${layer.name}: still ${currentSize.width}x${currentSize.height} at minimum ${fontSize}pt`);
+    }
+
+    return { fitted, startSize, finalSize: fontSize, steps };
+}
+
+// True when the row has any value for layer index N
+function rowHasLayerData(row, layerIndex) {
+    return ['text', 'fontsize', ...Object.keys(textStyleProperties)]
+        .some(prefix => !!row[`${prefix}${layerIndex}`]);
+}
+
 // Optimized layer processing without verification
-async function processLayer(layer, rowData, layerIndex) {
+async function processLayer(layer, rowData, layerIndex, options = {}) {
     const layerStart = Date.now();
-    const updates = { text: false, fontSize: false };
+    const updates = { text: false, fontSize: false, styles: [] };
 
     try {
         if (!layer?.name || !rowData || !layerIndex) {
@@ -1944,15 +3831,26 @@ async function processLayer(layer, rowData, layerIndex) {
 
         log(`[DEBUG] Processing layer: ${layer.name}`);
 
+        // Record the original box before the text changes when auto-fit is on
+        const autoFit = rowData[`autofit${layerIndex}`] ? parseAutoFitCell(rowData[`autofit${layerIndex}`]) : { enabled: false };
+        const originalSize = autoFit.enabled ? getLayerSize(layer) : null;
+
         // Update text if needed
-        if (rowData[`text${layerIndex}`]) {
+        const text = rowData[`text${layerIndex}`];
+        const updateText = async () => {
             try {
-                await replaceText(layer, rowData[`text${layerIndex}`]);
+                await replaceText(layer, text);
                 updates.text = true;
             } catch (textError) {
                 log(`[DEBUG] Text update failed for layer ${layer.name}: ${textError.message}`);
                 throw textError;
             }
+        };
+
+        // Rich text is applied after the layer-wide styles so its ranges are not flattened
+        const isRichText = !!text && hasRichTextMarkup(text);
+        if (text && !isRichText) {
+            await updateText();
         }
 
         // Update font size if needed
@@ -1966,6 +3864,37 @@ async function processLayer(layer, rowData, layerIndex) {
             }
         }
 
+        // Update extended text styles (colorN, fontN, trackingN, ...) if present
+        for (const property of Object.keys(textStyleProperties)) {
+            const value = rowData[`${property}${layerIndex}`];
+            if (!value) {
+                continue;
+            }
+            try {
+                await updateTextStyle(layer, property, value);
+                updates.styles.push(property);
+            } catch (styleError) {
+                log(`[DEBUG] ${textStyleProperties[property].label} update failed for layer ${layer.name}: ${styleError.message}`);
+                throw styleError;
+            }
+        }
+
+        if (isRichText) {
+            await updateText();
+        }
+
+        // Shrink the text back into its original box. fitTextToBounds sets one
+        // size for the whole layer, which would flatten |size=| ranges, so rich
+        // text that sets its own sizes is left as written
+        if (autoFit.enabled && isRichText && /\|size=[^|]*\|/.test(text)) {
+            log(`[DEBUG] Auto-fit skipped for ${layer.name}: text${layerIndex} sets sizes with |size=|`);
+        } else if (autoFit.enabled) {
+            const settings = { ...defaultAutoFitSettings, ...options.autoFit };
+            if (autoFit.minSize) settings.minSize = autoFit.minSize;
+            updates.autoFit = await fitTextToBounds(layer, originalSize, settings);
+            log(`[Cursor OK] Auto-fit ${layer.name}: ${updates.autoFit.startSize}pt -> ${updates.autoFit.finalSize}pt${updates.autoFit.fitted ? '' : ' (minimum reached, still overflowing)'}`);
+        }
+
         return {
             success: true,
             layer: layer.name,
@@ -1982,22 +3911,25 @@ async function processLayer(layer, rowData, layerIndex) {
     }
 }
 
-async function replaceImage(layer, imagePath) {
+// Replace the contents of a smart object layer with an image file entry
+async function replaceImage(layer, imageFile) {
     try {
-        const imageFile = await fs.getFileForPath(imagePath);
-        if (!imageFile) {
-            throw new PluginError('Image file not found', 'FILE_NOT_FOUND');
+        if (!imageFile || !imageFile.isFile) {
+            throw new PluginError('Image file not found', 'FILE_NOT_FOUND', { imageFile: imageFile?.name });
         }
         
+        // batchPlay only accepts file references as session tokens
+        const imageToken = fs.createSessionToken(imageFile);
         const result = await batchPlay(
             [
                 {
-                    _obj: "replaceContents",
-                    _target: [{ _ref: "smartObjectLayer", _id: layer._id }],
-                    using: { _ref: "file", _path: imagePath }
+                    _obj: "placedLayerReplaceContents",
+                    _target: [{ _ref: "layer", _id: layer._id }],
+                    null: { _path: imageToken, _kind: "local" },
+                    _options: { dialogOptions: "dontDisplay" }
                 }
             ],
-            { synchronousExecution: true }
+            { synchronousExecution: true, modalBehavior: "execute" }
         );
         
         if (!result || result.length === 0) {
@@ -2006,7 +3938,11 @@ async function replaceImage(layer, imagePath) {
         
         return result;
     } catch (error) {
-        throw new PluginError('Error replacing image', 'IMAGE_REPLACE_ERROR', { error });
+        throw new PluginError(
+            `Error replacing image in layer ${layer?.name}`,
+            'IMAGE_REPLACE_ERROR',
+            { error, layer: layer?.name, image: imageFile?.name }
+        );
     }
 }
 
@@ -2023,40 +3959,45 @@ async function setupTextOutputFolders(outputFolder) {
         // Store the base output folder
         folders.baseFolder = outputFolder;
         
-        // Check PNG folder, create if not exists
-        try {
-            console.log("[DEBUG] Checking Text_PNG folder...");
+        // Check each output folder, create if not exists
+        const outputFolderNames = { pngFolder: 'Text_PNG', psdFolder: 'Text_PSD' };
+        for (const [key, folderName] of Object.entries(outputFolderNames)) {
             try {
-                folders.pngFolder = await outputFolder.getEntry('Text_PNG');
-                if (!folders.pngFolder.isFolder) {
-                    throw new Error('Text_PNG exists but is not a folder');
+                console.log(`[DEBUG] Checking ${folderName} folder...`);
+                try {
+                    folders[key] = await outputFolder.getEntry(folderName);
+                    if (!folders[key].isFolder) {
+                        throw new Error(`${folderName} exists but is not a folder`);
+                    }
+                    console.log(`[DEBUG] Found existing ${folderName} folder:`, folders[key].nativePath);
+                } catch (notFoundError) {
+                    // If the folder doesn't exist, create it
+                    console.log(`[DEBUG] ${folderName} folder not found, creating new one...`);
+                    folders[key] = await outputFolder.createEntry(folderName, { type: 'folder' });
+                    console.log(`[DEBUG] Created new ${folderName} folder:`, folders[key].nativePath);
                 }
-                console.log("[DEBUG] Found existing Text_PNG folder:", folders.pngFolder.nativePath);
-            } catch (notFoundError) {
-                // If the folder doesn't exist, create it
-                console.log("[DEBUG] Text_PNG folder not found, creating new one...");
-                folders.pngFolder = await outputFolder.createEntry('Text_PNG', { type: 'folder' });
-                console.log("[DEBUG] Created new Text_PNG folder:", folders.pngFolder.nativePath);
-            }
-            
-            // Verify the folder was created
-            if (!folders.pngFolder || !folders.pngFolder.isFolder) {
-                throw new PluginError('Failed to create PNG folder', 'FOLDER_CREATE_ERROR');
+
+                // Verify the folder was created
+                if (!folders[key] || !folders[key].isFolder) {
+                    throw new PluginError(`Failed to create ${folderName} folder`, 'FOLDER_CREATE_ERROR');
+                }
+            } catch (error) {
+                console.error(`[DEBUG] Error with ${folderName} folder:`, error);
+                throw new PluginError(
+                    `Failed to create ${folderName} folder`,
+                    'FOLDER_CREATE_ERROR',
+                    { path: folderName, error }
+                );
             }
-        } catch (error) {
-            console.error("[DEBUG] Error with PNG folder:", error);
-            throw new PluginError(
-                'Failed to create Text_PNG folder',
-                'FOLDER_CREATE_ERROR',
-                { path: 'Text_PNG', error }
-            );
         }
         
         // Ensure native paths are properly formatted for M1 Macs
         folders.pngNativePath = folders.pngFolder.nativePath.replace(/\\/g, '/');
+        folders.psdNativePath = folders.psdFolder.nativePath.replace(/\\/g, '/');
 
         console.log("[DEBUG] Output folders ready:", {
-            png: folders.pngNativePath
+            png: folders.pngNativePath,
+            psd: folders.psdNativePath
         });
         
         return folders;
@@ -2073,40 +4014,353 @@ async function setupTextOutputFolders(outputFolder) {
     }
 }
 
-async function setupImageOutputFolders(outputFolder) {
-    try {
-        if (!outputFolder) {
-            throw new PluginError('Output folder not selected', 'FOLDER_NOT_SELECTED');
-        }
+async function setupImageOutputFolders(outputFolder) {
+    try {
+        if (!outputFolder) {
+            throw new PluginError('Output folder not selected', 'FOLDER_NOT_SELECTED');
+        }
+
+        const folders = { baseFolder: outputFolder };
+        
+        // Create PNG and PSD folders for image operations
+        try {
+            folders.pngFolder = await outputFolder.getEntry('Image_PNG');
+        } catch (error) {
+            folders.pngFolder = await outputFolder.createEntry('Image_PNG', { type: 'folder' });
+        }
+        try {
+            folders.psdFolder = await outputFolder.getEntry('Image_PSD');
+        } catch (error) {
+            folders.psdFolder = await outputFolder.createEntry('Image_PSD', { type: 'folder' });
+        }
+        
+        // Ensure native paths are properly formatted for M1 Macs
+        folders.pngNativePath = folders.pngFolder.nativePath.replace(/\\/g, '/');
+        folders.psdNativePath = folders.psdFolder.nativePath.replace(/\\/g, '/');
+        
+        return folders;
+    } catch (error) {
+        throw new PluginError('Failed to setup image output folders', 'IMAGE_FOLDER_SETUP_ERROR', { error });
+    }
+}
+
+// Performance tracking utilities
+function startOperation(state, operation) {
+    state.status.currentOperation = operation;
+    state.status.performance.startTime = Date.now();
+    return state.status.performance.startTime;
+}
+
+function endOperation(state, operation) {
+    const endTime = Date.now();
+    const duration = endTime - state.status.performance.startTime;
+    state.status.performance[`${operation}Time`] = duration;
+    state.status.performance.endTime = endTime;
+    return duration;
+}
+
+// RFC 4180 CSV parser shared by the text and image loaders.
+// Handles quoted fields, escaped quotes (""), embedded commas and newlines,
+// CRLF/LF endings and a leading UTF-8 BOM. Unquoted values are trimmed,
+// blank lines are skipped, and any syntax error is thrown as a
+// CSV_SYNTAX_ERROR carrying the 1-based line and column.
+function parseCSV(content) {
+    const text = String(content ?? '').replace(/^\uFEFF/, '');
+    const records = [];
+
+    let values = [];
+    let positions = [];
+    let field = '';
+    let fieldQuoted = false;
+    let fieldStart = { line: 1, column: 1 };
+    let recordLine = 1;
+    let recordQuoted = false;
+    let state = 'field'; // 'field' | 'quoted' | 'afterQuote'
+    let line = 1;
+    let column = 1;
+
+    const syntaxError = (message, at) => new PluginError(
+        `CSV syntax error at line ${at.line}, column ${at.column}: ${message}`,
+        'CSV_SYNTAX_ERROR',
+        { line: at.line, column: at.column }
+    );
+
+    const endField = () => {
+        values.push(fieldQuoted ? field : field.trim());
+        positions.push(fieldStart);
+        recordQuoted = recordQuoted || fieldQuoted;
+        field = '';
+        fieldQuoted = false;
+        state = 'field';
+    };
+
+    const endRecord = () => {
+        endField();
+        const isBlank = values.length === 1 && values[0] === '' && !recordQuoted;
+        if (!isBlank) {
+            records.push({ line: recordLine, values, positions, end: { line, column } });
+        }
+        values = [];
+        positions = [];
+        recordQuoted = false;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        const isLineBreak = char === '\n' || char === '\r';
+        const skipLF = char === '\r' && text[i + 1] === '\n';
+
+        if (state === 'quoted') {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+                column += 2;
+            } else if (char === '"') {
+                state = 'afterQuote';
+                column++;
+            } else if (isLineBreak) {
+                // Normalise embedded line breaks; replaceText maps them to Photoshop's \r
+                field += '\n';
+                if (skipLF) i++;
+                line++;
+                column = 1;
+            } else {
+                field += char;
+                column++;
+            }
+            continue;
+        }
+
+        if (char === ',') {
+            endField();
+            column++;
+            fieldStart = { line, column };
+            continue;
+        }
+
+        if (isLineBreak) {
+            endRecord();
+            if (skipLF) i++;
+            line++;
+            column = 1;
+            fieldStart = { line, column };
+            recordLine = line;
+            continue;
+        }
+
+        if (state === 'afterQuote') {
+            if (char !== ' ' && char !== '\t') {
+                throw syntaxError(`unexpected character '${char}' after closing quote`, { line, column });
+            }
+            column++;
+            continue;
+        }
+
+        if (char === '"') {
+            // Leading whitespace before an opening quote is tolerated
+            if (field.trim() !== '') {
+                throw syntaxError('unexpected quote inside unquoted field', { line, column });
+            }
+            field = '';
+            fieldQuoted = true;
+            fieldStart = { line, column };
+            state = 'quoted';
+            column++;
+            continue;
+        }
+
+        field += char;
+        column++;
+    }
+
+    if (state === 'quoted') {
+        throw syntaxError('unterminated quoted field', fieldStart);
+    }
+    if (values.length > 0 || field !== '' || fieldQuoted) {
+        endRecord();
+    }
+
+    if (records.length === 0) {
+        throw new PluginError('CSV file is empty', 'EMPTY_CSV_DATA');
+    }
+
+    const headers = records[0].values;
+    const rows = records.slice(1).map(record => {
+        if (record.values.length > headers.length) {
+            throw syntaxError(
+                `expected ${headers.length} fields, found ${record.values.length}`,
+                record.positions[headers.length]
+            );
+        }
+        if (record.values.length < headers.length) {
+            throw syntaxError(
+                `expected ${headers.length} fields, found ${record.values.length}`,
+                record.end
+            );
+        }
+        return { line: record.line, values: record.values };
+    });
+
+    return { headers, rows };
+}
+
+// Status-area text for a failed CSV load; syntax errors keep their line/column
+function describeCSVLoadError(error) {
+    const shownCodes = ['CSV_SYNTAX_ERROR', 'INVALID_HEADER_MAPPING'];
+    const cause = shownCodes.includes(error?.code) ? error : error?.details?.originalError;
+    if (shownCodes.includes(cause?.code)) {
+        return cause.message;
+    }
+    if (cause?.code === 'INVALID_CSV_FORMAT') {
+        return `${cause.message}; map the headers below to text fields`;
+    }
+    return 'Error loading CSV file';
+}
+
+// Header mapping profiles rename a spreadsheet's own headers (Product Name,
+// Dose, ...) to the logical fields the runners read (text1, fontsize1,
+// psdname1, ...). Profiles are stored per tab and applied automatically when a
+// CSV has exactly the profile's header set.
+const headerProfileStorageKey = 'headerMappingProfiles';
+
+const logicalFieldCheckers = {
+    text: field => layerColumnPattern.test(field) || field === 'filename' || field === 'template',
+    image: field => /^(psdname|imgname)\d+$/.test(field) || field === 'filename'
+};
+
+function readHeaderProfiles(tab) {
+    try {
+        return JSON.parse(localStorage.getItem(headerProfileStorageKey) || '{}')[tab] || {};
+    } catch (storageError) {
+        log(`[DEBUG] Failed to read header mapping profiles: ${storageError.message}`);
+        return {};
+    }
+}
+
+function writeHeaderProfiles(tab, profiles) {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(headerProfileStorageKey) || '{}');
+    } catch (storageError) {
+        log(`[DEBUG] Replacing unreadable header mapping profiles: ${storageError.message}`);
+    }
+    stored[tab] = profiles;
+    localStorage.setItem(headerProfileStorageKey, JSON.stringify(stored));
+}
+
+const headerSetKey = headers => JSON.stringify([...headers].sort());
+
+// Find the saved profile whose header set matches the CSV's headers
+function findHeaderProfile(tab, headers) {
+    const key = headerSetKey(headers);
+    const match = Object.entries(readHeaderProfiles(tab))
+        .find(([, profile]) => headerSetKey(profile.headers) === key);
+    return match ? { name: match[0], ...match[1] } : null;
+}
+
+// Every target must be a logical field for the tab, used once, and must not
+// collide with a header that is kept as is
+function validateHeaderMapping(tab, headers, mapping) {
+    const targets = new Map();
+    Object.entries(mapping).forEach(([header, field]) => {
+        if (!headers.includes(header)) {
+            throw new PluginError(`Mapped header "${header}" is not in the CSV`, 'INVALID_HEADER_MAPPING', { header });
+        }
+        if (!logicalFieldCheckers[tab](field)) {
+            throw new PluginError(`"${field}" is not a ${tab} field`, 'INVALID_HEADER_MAPPING', { header, field });
+        }
+        if (targets.has(field)) {
+            throw new PluginError(
+                `"${header}" and "${targets.get(field)}" are both mapped to ${field}`,
+                'INVALID_HEADER_MAPPING',
+                { header, field }
+            );
+        }
+        targets.set(field, header);
+    });
+    const collision = headers.find(header => !mapping[header] && targets.has(header));
+    if (collision) {
+        throw new PluginError(
+            `"${targets.get(collision)}" is mapped to ${collision}, which is already a CSV column`,
+            'INVALID_HEADER_MAPPING',
+            { header: collision }
+        );
+    }
+}
+
+function applyHeaderMapping(headers, mapping) {
+    return headers.map(header => mapping[header] || header);
+}
+
+// Resolve a freshly parsed CSV's headers through the matching profile, if any
+function resolveCSVHeaders(tab, rawHeaders) {
+    const profile = findHeaderProfile(tab, rawHeaders);
+    if (!profile) {
+        return { headers: rawHeaders, profile: null };
+    }
+    validateHeaderMapping(tab, rawHeaders, profile.mapping);
+    log(`[Cursor OK] Header mapping profile "${profile.name}" applied`);
+    return { headers: applyHeaderMapping(rawHeaders, profile.mapping), profile };
+}
+
+// Draw one field input per CSV header, filled from the active profile
+function renderHeaderMappingEditor(tab) {
+    const suffix = tab === 'image' ? 'Img' : '';
+    const state = tab === 'image' ? imageReplaceState : textReplaceState;
+    const container = document.getElementById(`headerMapping${suffix}`);
+    const profileSelect = document.getElementById(`headerProfileSelect${suffix}`);
+    if (!container) {
+        return;
+    }
 
-        const folders = {};
-        
-        // Create PNG folder for image operations
-        try {
-            folders.pngFolder = await outputFolder.getEntry('Image_PNG');
-        } catch (error) {
-            folders.pngFolder = await outputFolder.createEntry('Image_PNG', { type: 'folder' });
-        }
-        
-        return folders;
-    } catch (error) {
-        throw new PluginError('Failed to setup image output folders', 'IMAGE_FOLDER_SETUP_ERROR', { error });
+    if (profileSelect) {
+        profileSelect.innerHTML = '';
+        const noneOption = document.createElement('option');
+        noneOption.value = '';
+        noneOption.textContent = 'No profile';
+        profileSelect.appendChild(noneOption);
+        Object.keys(readHeaderProfiles(tab)).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            option.selected = name === state.data.headerProfile?.name;
+            profileSelect.appendChild(option);
+        });
     }
-}
 
-// Performance tracking utilities
-function startOperation(state, operation) {
-    state.status.currentOperation = operation;
-    state.status.performance.startTime = Date.now();
-    return state.status.performance.startTime;
+    container.innerHTML = '';
+    const mapping = state.data.headerProfile?.mapping || {};
+    (state.data.csvRawHeaders || []).forEach(header => {
+        const row = document.createElement('label');
+        row.className = 'inline-field header-mapping-row';
+        row.textContent = header;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'number-input header-mapping-field';
+        input.dataset.header = header;
+        input.placeholder = 'keep';
+        input.value = mapping[header] || '';
+        row.appendChild(input);
+        container.appendChild(row);
+    });
+
+    const nameInput = document.getElementById(`headerProfileName${suffix}`);
+    if (nameInput && state.data.headerProfile) {
+        nameInput.value = state.data.headerProfile.name;
+    }
 }
 
-function endOperation(state, operation) {
-    const endTime = Date.now();
-    const duration = endTime - state.status.performance.startTime;
-    state.status.performance[`${operation}Time`] = duration;
-    state.status.performance.endTime = endTime;
-    return duration;
+// Collect the editor's inputs into a header mapping
+function readHeaderMappingEditor(tab) {
+    const suffix = tab === 'image' ? 'Img' : '';
+    const mapping = {};
+    document.querySelectorAll(`#headerMapping${suffix} .header-mapping-field`).forEach(input => {
+        const field = input.value.trim();
+        if (field) {
+            mapping[input.dataset.header] = field;
+        }
+    });
+    return mapping;
 }
 
 // Enhanced CSV Loading for Text Replace
@@ -2119,8 +4373,13 @@ async function loadTextCSV(file) {
         });
 
         const fileContent = await file.read();
-        const lines = fileContent.split('\n');
-        const headers = lines[0].trim().split(',').map(h => h.trim());
+        const { headers: rawHeaders, rows } = parseCSV(fileContent);
+
+        // Keep the raw headers even if the load fails below, so they can be mapped
+        textReplaceState.data.csvFile = file;
+        textReplaceState.data.csvRawHeaders = rawHeaders;
+        textReplaceState.data.headerProfile = null;
+        const { headers, profile } = resolveCSVHeaders('text', rawHeaders);
 
         // Validate required columns
         const textColumns = headers.filter(h => h.startsWith('text'));
@@ -2142,17 +4401,11 @@ async function loadTextCSV(file) {
 
         // Parse data with validation
         const data = [];
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue; // Skip empty lines
-
-            const values = line.split(',').map(v => v.trim());
-            if (values.length !== headers.length) {
-                console.warn(`[DEBUG] Skipping malformed line ${i + 1}: expected ${headers.length} columns, got ${values.length}`);
-                continue;
-            }
-
+        const invalidCells = [];
+        for (const { line, values } of rows) {
             const rowData = {};
+            const rowInvalidCells = [];
+            const rowExpressionCells = [];
             let hasData = false;
 
             headers.forEach((header, index) => {
@@ -2167,13 +4420,50 @@ async function loadTextCSV(file) {
                 if (header.startsWith('fontsize') && value) {
                     const size = parseFloat(value);
                     if (isNaN(size)) {
-                        console.warn(`[DEBUG] Invalid font size in row ${i + 1}, column ${header}: ${value}`);
+                        console.warn(`[DEBUG] Invalid font size in row ${line}, column ${header}: ${value}`);
                         rowData[header] = ''; // Clear invalid font size
+                        rowInvalidCells.push({ column: header, value, line, reason: 'Invalid font size (cleared)' });
+                    }
+                }
+                // Validate auto-fit and extended style values the same way
+                const styleMatch = header.match(layerColumnPattern);
+                if (styleMatch && styleMatch[1] === 'autofit' && value) {
+                    try {
+                        parseAutoFitCell(value);
+                    } catch (autoFitError) {
+                        console.warn(`[DEBUG] ${autoFitError.message} in row ${line}, column ${header}`);
+                        rowData[header] = '';
+                        rowInvalidCells.push({ column: header, value, line, reason: `${autoFitError.message} (cleared)` });
+                    }
+                }
+                if (styleMatch && styleMatch[1] === 'text' && hasTextExpression(value)) {
+                    rowExpressionCells.push({ column: header, value });
+                }
+                if (styleMatch && textStyleProperties[styleMatch[1]] && value) {
+                    try {
+                        parseTextStyleValue(styleMatch[1], value);
+                    } catch (styleError) {
+                        console.warn(`[DEBUG] ${styleError.message} in row ${line}, column ${header}`);
+                        rowData[header] = ''; // Clear invalid style value
+                        rowInvalidCells.push({ column: header, value, line, reason: `${styleError.message} (cleared)` });
                     }
                 }
             });
 
+            // Expressions can reference any column, so check them once the row is complete
+            rowExpressionCells.forEach(({ column, value }) => {
+                try {
+                    evaluateTextExpression(value, rowData, [column]);
+                } catch (expressionError) {
+                    console.warn(`[DEBUG] ${expressionError.message} in row ${line}, column ${column}`);
+                    rowData[column] = ''; // Clear invalid expression
+                    rowInvalidCells.push({ column, value, line, reason: `${expressionError.message} (cleared)` });
+                }
+            });
+
             if (hasData) {
+                // Keep the invalid cells for the preview grid, keyed by loaded row index
+                rowInvalidCells.forEach(cell => invalidCells.push({ ...cell, rowIndex: data.length }));
                 data.push(rowData);
             }
         }
@@ -2182,12 +4472,16 @@ async function loadTextCSV(file) {
             throw new PluginError(
                 'No valid data rows found in CSV',
                 'EMPTY_CSV_DATA',
-                { totalLines: lines.length }
+                { totalRows: rows.length }
             );
         }
 
         // Update state
         textReplaceState.data.csvData = data;
+        textReplaceState.data.csvHeaders = headers;
+        textReplaceState.data.headerProfile = profile;
+        textReplaceState.data.invalidCells = invalidCells;
+        textReplaceState.data.currentRowIndex = 0;
         textReplaceState.status.steps.csvLoaded = true;
         textReplaceState.status.performance.csvLoadTime = Date.now() - startTime;
         textReplaceState.status.performance.totalRows = data.length;
@@ -2230,23 +4524,108 @@ async function loadTextCSV(file) {
     }
 }
 
+// Render the loaded text CSV as a scrollable grid. Per-layer columns are
+// highlighted, invalid cells are marked, and clicking a row makes it current.
+function renderTextCSVPreview() {
+    const container = document.getElementById('csvPreview');
+    if (!container) {
+        return;
+    }
+    container.innerHTML = '';
+
+    const data = textReplaceState.data.csvData || [];
+    const headers = textReplaceState.data.csvHeaders || Object.keys(data[0] || {});
+    if (data.length === 0) {
+        return;
+    }
+
+    const invalidByRow = textReplaceState.data.invalidCells.reduce((byRow, cell) => {
+        (byRow[cell.rowIndex] = byRow[cell.rowIndex] || {})[cell.column] = cell;
+        return byRow;
+    }, {});
+    const isMappedColumn = header => layerColumnPattern.test(header);
+
+    const createCell = (text, className) => {
+        const cell = document.createElement('div');
+        cell.className = `csv-cell ${className || ''}`.trim();
+        cell.textContent = text;
+        cell.title = text;
+        return cell;
+    };
+
+    const headerRow = document.createElement('div');
+    headerRow.className = 'csv-row csv-header';
+    headerRow.appendChild(createCell('#', 'csv-index'));
+    headers.forEach(header => headerRow.appendChild(createCell(header, isMappedColumn(header) ? 'csv-mapped' : '')));
+    container.appendChild(headerRow);
+
+    data.forEach((row, rowIndex) => {
+        const rowElement = document.createElement('div');
+        rowElement.className = 'csv-row';
+        rowElement.dataset.rowIndex = String(rowIndex);
+        if (rowIndex === textReplaceState.data.currentRowIndex) {
+            rowElement.classList.add('csv-current');
+        }
+
+        rowElement.appendChild(createCell(String(rowIndex + 1), 'csv-index'));
+        headers.forEach(header => {
+            const invalid = invalidByRow[rowIndex]?.[header];
+            const classes = [isMappedColumn(header) ? 'csv-mapped' : '', invalid ? 'csv-invalid' : ''].join(' ');
+            const cell = createCell(invalid ? invalid.value : (row[header] ?? ''), classes);
+            if (invalid) {
+                cell.title = `${invalid.reason}: ${invalid.value}`;
+            }
+            rowElement.appendChild(cell);
+        });
+
+        rowElement.addEventListener('click', () => setCurrentTextRow(rowIndex));
+        container.appendChild(rowElement);
+    });
+}
+
+// Make a row the target of "Process Current Row" and reflect it in the grid
+function setCurrentTextRow(rowIndex) {
+    const data = textReplaceState.data.csvData || [];
+    if (rowIndex < 0 || rowIndex >= data.length) {
+        return;
+    }
+    textReplaceState.data.currentRowIndex = rowIndex;
+
+    document.querySelectorAll('#csvPreview .csv-row[data-row-index]').forEach(rowElement => {
+        rowElement.classList.toggle('csv-current', rowElement.dataset.rowIndex === String(rowIndex));
+    });
+
+    const currentRadio = document.querySelector('input[name="processType"][value="current"]');
+    if (currentRadio) {
+        currentRadio.checked = true;
+    }
+    document.getElementById('textStatus').textContent = `Current row: ${rowIndex + 1}/${data.length}`;
+    log(`[DEBUG] Current row set to ${rowIndex + 1}`);
+}
+
 // Enhanced CSV Loading for Image Replace
 async function loadImageCSV(file) {
     const startTime = startOperation(imageReplaceState, 'csvLoad');
     try {
         const fileContent = await file.read();
-        const lines = fileContent.split('\n');
-        const headers = lines[0].split(',');
-        const data = lines.slice(1).map(line => {
-            const values = line.split(',');
+        const { headers: rawHeaders, rows } = parseCSV(fileContent);
+
+        // Keep the raw headers even if the load fails below, so they can be mapped
+        imageReplaceState.data.csvFile = file;
+        imageReplaceState.data.csvRawHeaders = rawHeaders;
+        imageReplaceState.data.headerProfile = null;
+        const { headers, profile } = resolveCSVHeaders('image', rawHeaders);
+        const data = rows.map(({ values }) => {
             return headers.reduce((obj, header, index) => {
-                obj[header.trim()] = values[index]?.trim() || '';
+                obj[header] = values[index] || '';
                 return obj;
             }, {});
         });
         
         // Update state with performance metrics
         imageReplaceState.data.csvData = data;
+        imageReplaceState.data.csvHeaders = headers;
+        imageReplaceState.data.headerProfile = profile;
         imageReplaceState.status.steps.csvLoaded = true;
         imageReplaceState.status.performance.totalRows = data.length;
         
@@ -2330,6 +4709,7 @@ async function saveAsPNG(doc, outputPath) {
             log(`[DEBUG] Creating temporary file for PNG save...`);
             console.log(`[CURSOR SAVE] Creating temporary file for PNG save...`);
             const tempFile = await fs.createTemporaryFile("temp-png-");
+            registerTempArtifact(tempFile.nativePath, 'png-staging');
             log(`[DEBUG] Created temp file: ${tempFile.nativePath}`);
             console.log(`[CURSOR SAVE] Created temp file: ${tempFile.nativePath}`);
             
@@ -2375,6 +4755,7 @@ async function saveAsPNG(doc, outputPath) {
             
             // Clean up temp file
             await tempFile.delete();
+            unregisterTempArtifact(tempFile.nativePath);
             log(`[DEBUG] Cleaned up temp file`);
             console.log(`[CURSOR SAVE] Cleaned up temp file`);
             
@@ -2522,66 +4903,659 @@ async function saveAsPNG(doc, outputPath) {
     }
 }
 
-// Add a global processing control variable
-let isProcessingStopped = false;
+// Layered PSD save used when the direct save fails: batchPlay save to a file
+// token, then the DOM saveAs API on the same file entry
+async function saveAsPSD(doc, outputPath) {
+    log(`[DEBUG] Starting PSD save to: ${outputPath}`);
+
+    let file;
+    try {
+        file = await fs.createEntryWithUrl(`file:${outputPath.replace(/\\/g, '/')}`, { overwrite: true });
+    } catch (entryError) {
+        throw new PluginError(
+            `Could not create ${outputPath}`,
+            'PSD_SAVE_ERROR',
+            { originalError: entryError, path: outputPath }
+        );
+    }
+
+    // APPROACH 1: batchPlay save; batchPlay only accepts file references as session tokens
+    try {
+        await batchPlay(
+            [{
+                _obj: "save",
+                as: {
+                    _obj: "photoshop35Format",
+                    maximizeCompatibility: true
+                },
+                in: { _path: fs.createSessionToken(file), _kind: "local" },
+                documentID: doc._id,
+                copy: true,
+                _options: { dialogOptions: "dontDisplay" }
+            }],
+            { synchronousExecution: true, modalBehavior: "none" }
+        );
+        log(`[DEBUG] ✅ Token PSD save completed successfully`);
+        return { success: true, method: "tokenSave" };
+    } catch (tokenSaveError) {
+        log(`[DEBUG] Token PSD save failed: ${tokenSaveError.message}`);
+    }
+
+    // APPROACH 2: DOM saveAs on a file entry
+    try {
+        await doc.saveAs.psd(file, { maximizeCompatibility: true }, true);
+        log(`[DEBUG] ✅ DOM PSD save completed successfully`);
+        return { success: true, method: "saveAs" };
+    } catch (domSaveError) {
+        log(`[DEBUG] DOM PSD save failed: ${domSaveError.message}`);
+        throw new PluginError(
+            'All PSD save methods failed',
+            'PSD_SAVE_ERROR',
+            { originalError: domSaveError, path: outputPath }
+        );
+    }
+}
 
-// Add a global stop processing flag
-let stopProcessingRequested = false;
+// Row selector for batch runs. Clauses are joined with "and"; each clause is
+// either a list of 1-based rows/ranges ("3,7,10-20") or a column filter
+// ("text1 contains \"TB-500\"", "category = capsules", "price >= 20").
+// String comparisons are case-insensitive.
+const rowFilterOperators = {
+    '=': (cell, value) => cell.toLowerCase() === value.toLowerCase(),
+    '==': (cell, value) => cell.toLowerCase() === value.toLowerCase(),
+    'is': (cell, value) => cell.toLowerCase() === value.toLowerCase(),
+    '!=': (cell, value) => cell.toLowerCase() !== value.toLowerCase(),
+    'contains': (cell, value) => cell.toLowerCase().includes(value.toLowerCase()),
+    'not contains': (cell, value) => !cell.toLowerCase().includes(value.toLowerCase()),
+    'startswith': (cell, value) => cell.toLowerCase().startsWith(value.toLowerCase()),
+    'endswith': (cell, value) => cell.toLowerCase().endsWith(value.toLowerCase()),
+    '>': (cell, value) => parseFloat(cell) > parseFloat(value),
+    '<': (cell, value) => parseFloat(cell) < parseFloat(value),
+    '>=': (cell, value) => parseFloat(cell) >= parseFloat(value),
+    '<=': (cell, value) => parseFloat(cell) <= parseFloat(value)
+};
 
-// Function to check if processing should stop
-function shouldStopProcessing() {
-    return stopProcessingRequested;
+// Split a row selector into tokens. Quoted strings ("..." or '...', with
+// backslash escapes) stay whole, so a quoted "and" or operator is plain text;
+// quotes inside a bare word are literal. Each token keeps its source offsets.
+const rowSelectorOperatorPattern = /^(==|!=|>=|<=|=|>|<)/;
+
+function tokenizeRowSelector(source) {
+    const tokens = [];
+    let position = 0;
+    while (position < source.length) {
+        if (/\s/.test(source[position])) {
+            position++;
+            continue;
+        }
+        const start = position;
+        const quote = source[position];
+        if (quote === '"' || quote === "'") {
+            let value = '';
+            position++;
+            while (position < source.length && source[position] !== quote) {
+                if (source[position] === '\\' && position + 1 < source.length) {
+                    position++;
+                }
+                value += source[position++];
+            }
+            if (position >= source.length) {
+                throw new PluginError(`Unterminated quote in row selector "${source}"`, 'INVALID_ROW_SELECTOR', { selector: source });
+            }
+            position++;
+            tokens.push({ type: 'quoted', value, start, end: position });
+            continue;
+        }
+        const operator = source.slice(position).match(rowSelectorOperatorPattern);
+        if (operator) {
+            position += operator[1].length;
+            tokens.push({ type: 'operator', value: operator[1], start, end: position });
+            continue;
+        }
+        while (position < source.length && !/\s/.test(source[position]) &&
+            !rowSelectorOperatorPattern.test(source.slice(position))) {
+            position++;
+        }
+        tokens.push({ type: 'word', value: source.slice(start, position), start, end: position });
+    }
+    return tokens;
 }
 
-// Function to request stopping the processing
-function requestStopProcessing() {
-    stopProcessingRequested = true;
-    log("[DEBUG] Stop processing requested by user");
-    
-    // Update UI to show stopping
-    const statusElement = document.getElementById('textStatus');
+function parseRowSelector(expression, headers = []) {
+    const source = String(expression || '').trim();
+    if (!source) {
+        throw new PluginError('Row selector is empty', 'INVALID_ROW_SELECTOR');
+    }
+
+    // Only a bare "and" outside quotes separates clauses
+    const clauses = [[]];
+    tokenizeRowSelector(source).forEach(token => {
+        if (token.type === 'word' && token.value.toLowerCase() === 'and') {
+            clauses.push([]);
+        } else {
+            clauses[clauses.length - 1].push(token);
+        }
+    });
+
+    const predicates = clauses.map(tokens => {
+        if (tokens.length === 0) {
+            throw new PluginError(`Empty clause in row selector "${source}"`, 'INVALID_ROW_SELECTOR', { selector: source });
+        }
+        const clause = source.slice(tokens[0].start, tokens[tokens.length - 1].end);
+
+        // Row numbers and ranges
+        if (tokens.every(token => token.type === 'word') && /^[\d\s,-]+$/.test(clause)) {
+            const ranges = clause.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+                const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+                if (!match) {
+                    throw new PluginError(`Invalid row range "${part}"`, 'INVALID_ROW_SELECTOR', { clause });
+                }
+                const start = parseInt(match[1], 10);
+                const end = match[2] ? parseInt(match[2], 10) : start;
+                if (start < 1 || end < start) {
+                    throw new PluginError(`Invalid row range "${part}"`, 'INVALID_ROW_SELECTOR', { clause });
+                }
+                return { start, end };
+            });
+            return (row, index) => ranges.some(({ start, end }) => index + 1 >= start && index + 1 <= end);
+        }
+
+        // Column filters: <column> <operator> <value>; the column and the
+        // value may be quoted, an unquoted value runs to the end of the clause
+        const [columnToken, operatorToken, ...valueTokens] = tokens;
+        let operator = null;
+        if (operatorToken?.type === 'operator') {
+            operator = operatorToken.value;
+        } else if (operatorToken?.type === 'word') {
+            const word = operatorToken.value.toLowerCase();
+            if (word === 'not' && valueTokens[0]?.type === 'word' && valueTokens[0].value.toLowerCase() === 'contains') {
+                valueTokens.shift();
+                operator = 'not contains';
+            } else if (['contains', 'startswith', 'endswith', 'is'].includes(word)) {
+                operator = word;
+            }
+        }
+        if (columnToken.type === 'operator' || !operator || valueTokens.length === 0) {
+            throw new PluginError(`Cannot parse row filter "${clause}"`, 'INVALID_ROW_SELECTOR', { clause });
+        }
+        const column = columnToken.value;
+        const value = valueTokens.length === 1 && valueTokens[0].type === 'quoted'
+            ? valueTokens[0].value
+            : source.slice(valueTokens[0].start, valueTokens[valueTokens.length - 1].end);
+
+        if (headers.length > 0 && !headers.includes(column)) {
+            throw new PluginError(`Unknown column "${column}" in row filter`, 'INVALID_ROW_SELECTOR', { clause, headers });
+        }
+        const compare = rowFilterOperators[operator];
+        return row => compare(String(row[column] ?? ''), value);
+    });
+
+    return (row, index) => predicates.every(predicate => predicate(row, index));
+}
+
+// Indices of the rows matching a row selector expression
+function selectRows(data, expression, headers) {
+    const predicate = parseRowSelector(expression, headers || Object.keys(data[0] || {}));
+    return data.reduce((indices, row, index) => {
+        if (predicate(row, index)) indices.push(index);
+        return indices;
+    }, []);
+}
+
+// Read a tab's row selector and resolve it to row indices
+function getSelectedRowIndices(tab) {
+    const state = tab === 'image' ? imageReplaceState : textReplaceState;
+    const input = document.getElementById(tab === 'image' ? 'rowSelectorImg' : 'rowSelector');
+    const indices = selectRows(state.data.csvData, input?.value, state.data.csvHeaders);
+    if (indices.length === 0) {
+        throw new PluginError('No rows match the row selector', 'NO_ROWS_SELECTED', { selector: input?.value });
+    }
+    log(`[DEBUG] Row selector "${input?.value}" matched ${indices.length} row(s)`);
+    return indices;
+}
+
+// Job runner shared by both tabs. A job moves through
+//   queued -> running <-> paused -> cancelling -> finished
+// and jobs run one at a time, so a job started while the other tab's job runs
+// waits in the queue. Runners call job.checkpoint() between rows and between
+// layers: it waits while the job is paused and throws JOB_CANCELLED once a
+// cancel was requested. The tab's buttons are rendered from the job status.
+const jobsByTab = { text: null, image: null };
+let jobQueueTail = Promise.resolve();
+
+function createJob(tab) {
+    let resumeWaiters = [];
+    const wake = () => {
+        resumeWaiters.forEach(resolve => resolve());
+        resumeWaiters = [];
+    };
+    const job = {
+        tab,
+        status: 'queued',
+        outcome: null,
+        setStatus(status) {
+            job.status = status;
+            log(`[DEBUG] ${tab} job ${status}`);
+            renderJobControls(tab);
+        },
+        pause() {
+            if (job.status === 'running') {
+                job.setStatus('paused');
+            }
+        },
+        resume() {
+            if (job.status === 'paused') {
+                job.setStatus('running');
+                wake();
+            }
+        },
+        cancel() {
+            if (['queued', 'running', 'paused'].includes(job.status)) {
+                job.setStatus('cancelling');
+                wake();
+            }
+        },
+        async checkpoint() {
+            while (job.status === 'paused') {
+                await new Promise(resolve => resumeWaiters.push(resolve));
+            }
+            if (job.status === 'cancelling') {
+                throw new PluginError('Job cancelled', 'JOB_CANCELLED');
+            }
+        }
+    };
+    return job;
+}
+
+// Queue work(job) for a tab. A tab has one unfinished job at most; clicks
+// while it is queued or running are ignored. A failed job is reported through
+// handleError, so the click handlers never see a rejected promise.
+async function runJob(tab, work) {
+    if (jobsByTab[tab] && jobsByTab[tab].status !== 'finished') {
+        log(`[DEBUG] ${tab} job already ${jobsByTab[tab].status}`);
+        return;
+    }
+    const job = createJob(tab);
+    jobsByTab[tab] = job;
+    renderJobControls(tab);
+
+    const previousJob = jobQueueTail;
+    let releaseQueue;
+    jobQueueTail = new Promise(resolve => {
+        releaseQueue = resolve;
+    });
+    await previousJob;
+
+    try {
+        if (job.status === 'cancelling') {
+            job.outcome = 'cancelled';
+            return;
+        }
+        job.setStatus('running');
+        await work(job);
+        job.outcome = job.status === 'cancelling' ? 'cancelled' : 'completed';
+    } catch (error) {
+        if (error.code === 'JOB_CANCELLED') {
+            job.outcome = 'cancelled';
+            return;
+        }
+        job.outcome = 'failed';
+        await handleError(error, tab);
+    } finally {
+        job.setStatus('finished');
+        releaseQueue();
+    }
+}
+
+function renderJobControls(tab) {
+    const suffix = tab === 'image' ? 'Img' : '';
+    const job = jobsByTab[tab];
+    const status = job ? job.status : 'finished';
+    const unfinished = status !== 'finished';
+
+    const processButton = document.getElementById(tab === 'image' ? 'processImages' : 'processText');
+    if (processButton) {
+        processButton.disabled = unfinished;
+    }
+    const pauseButton = document.getElementById(`pauseJob${suffix}`);
+    if (pauseButton) {
+        pauseButton.style.display = status === 'running' || status === 'paused' ? 'inline-block' : 'none';
+        pauseButton.textContent = status === 'paused' ? 'Resume' : 'Pause';
+    }
+    const cancelButton = document.getElementById(`cancelJob${suffix}`);
+    if (cancelButton) {
+        cancelButton.style.display = unfinished ? 'inline-block' : 'none';
+        cancelButton.disabled = status === 'cancelling';
+        cancelButton.textContent = status === 'cancelling' ? 'Cancelling...' : 'Cancel';
+    }
+    const statusElement = document.getElementById(`jobStatus${suffix}`);
     if (statusElement) {
-        statusElement.textContent = 'Stopping...';
-        statusElement.style.color = 'orange';
+        statusElement.textContent = !job ? '' :
+            `Job ${status}${status === 'finished' && job.outcome ? ` (${job.outcome})` : ''}`;
     }
-    
-    // Disable stop button
-    const stopButton = document.getElementById('stopProcessingBtn');
-    if (stopButton) {
-        stopButton.disabled = true;
-        stopButton.textContent = 'Stopping...';
+}
+
+// Compare the CSV's per-layer columns (textN, fontsizeN, colorN, ...) with the
+// document's layers under the layer matching policy. Blocking issues: columns
+// with no layer, columns matched by several layers and matched layers that are
+// not text. Layers without a column, text layers the policy does not match and
+// repeated layer names are only reported.
+function buildPreflightReport(headers, layerEntries, policy = createLayerMatchingPolicy()) {
+    const isTextLayer = layer => layer.kind === 'text' || layer.kind === 3;
+
+    const columnTargets = headers
+        .map(header => ({ header, match: header.match(layerColumnPattern) }))
+        .filter(({ match }) => match)
+        .map(({ header, match }) => ({ column: header, index: match[2] }));
+    const targetIndices = new Set(columnTargets.map(target => target.index));
+
+    const { matches, unmatched } = resolveLayerMatches(layerEntries, policy);
+    const matchesByIndex = matches.reduce((byIndex, entry) => {
+        (byIndex[entry.index] = byIndex[entry.index] || []).push(entry);
+        return byIndex;
+    }, {});
+
+    const pathsByName = layerEntries.reduce((paths, { layer, label }) => {
+        (paths[layer.name] = paths[layer.name] || []).push(label);
+        return paths;
+    }, {});
+    const duplicateLayerNames = Object.keys(pathsByName)
+        .filter(name => pathsByName[name].length > 1)
+        .map(name => ({
+            name,
+            count: pathsByName[name].length,
+            paths: pathsByName[name]
+        }));
+
+    const columnsWithoutLayer = columnTargets
+        .filter(target => !matchesByIndex[target.index]);
+
+    const ambiguousColumns = Object.keys(matchesByIndex)
+        .filter(index => targetIndices.has(index) && matchesByIndex[index].length > 1)
+        .map(index => ({ index, paths: matchesByIndex[index].map(({ label }) => label) }));
+
+    const layersWithoutColumn = matches
+        .filter(({ layer, index }) => isTextLayer(layer) && !targetIndices.has(index))
+        .map(({ label }) => label);
+
+    const unmatchedTextLayers = unmatched
+        .filter(({ layer }) => isTextLayer(layer))
+        .map(({ label }) => label);
+
+    const nonTextLayers = matches
+        .filter(({ layer, index }) => targetIndices.has(index) && !isTextLayer(layer))
+        .map(({ layer, label }) => ({ name: layer.name, path: label, kind: layer.kind }));
+
+    const matchedLayers = matches
+        .filter(({ layer, index }) => targetIndices.has(index) && isTextLayer(layer))
+        .map(({ layer, label, index }) => ({ name: layer.name, path: label, index }));
+
+    return {
+        ok: columnsWithoutLayer.length === 0 &&
+            nonTextLayers.length === 0 &&
+            ambiguousColumns.length === 0,
+        policy: policy.description,
+        columnsWithoutLayer,
+        ambiguousColumns,
+        layersWithoutColumn,
+        unmatchedTextLayers,
+        duplicateLayerNames,
+        nonTextLayers,
+        matchedLayers
+    };
+}
+
+// Render a preflight report into the text panel
+function renderPreflightReport(report) {
+    const container = document.getElementById('preflightReport');
+    if (!container) {
+        return;
     }
-    
-    return true;
+    container.innerHTML = '';
+
+    const addLine = (text, className) => {
+        const line = document.createElement('div');
+        line.textContent = text;
+        if (className) line.className = className;
+        container.appendChild(line);
+    };
+
+    addLine(report.ok ? '✅ Preflight passed' : '❌ Preflight failed', report.ok ? 'preflight-ok' : 'preflight-error');
+    addLine(`Matching ${report.policy}`);
+    report.columnsWithoutLayer.forEach(({ column }) =>
+        addLine(`Column "${column}" has no matching layer`, 'preflight-error'));
+    report.ambiguousColumns.forEach(({ index, paths }) =>
+        addLine(`Column ${index} matches ${paths.length} layers: ${paths.join(', ')}`, 'preflight-error'));
+    report.nonTextLayers.forEach(({ path, kind }) =>
+        addLine(`Layer "${path}" is not a text layer (kind: ${kind})`, 'preflight-error'));
+    report.duplicateLayerNames.forEach(({ name, count, paths }) =>
+        addLine(`Layer name "${name}" is used ${count} times: ${paths.join(', ')}`, 'preflight-warning'));
+    report.layersWithoutColumn.forEach(path =>
+        addLine(`Layer "${path}" has no CSV column`, 'preflight-warning'));
+    report.unmatchedTextLayers.forEach(path =>
+        addLine(`Text layer "${path}" does not match ${report.policy}`, 'preflight-warning'));
+    report.matchedLayers.forEach(({ path, index }) =>
+        addLine(`Matched layer "${path}" to column ${index}`));
 }
 
-// Function to reset stop processing flag
-function resetStopProcessing() {
-    stopProcessingRequested = false;
-    
-    // Update UI elements
-    const stopButton = document.getElementById('stopProcessingBtn');
-    if (stopButton) {
-        stopButton.disabled = false;
-        stopButton.textContent = 'Stop Processing';
-        stopButton.style.display = 'none';
+// Run the preflight check against the active document and fail fast on blocking issues
+async function runTextPreflight(doc, policy = getLayerMatchingPolicy(doc)) {
+    const headers = textReplaceState.data.csvHeaders || Object.keys(textReplaceState.data.csvData[0] || {});
+    const report = buildPreflightReport(headers, collectLayers(doc), policy);
+
+    renderPreflightReport(report);
+    log(`[DEBUG] Preflight ${report.ok ? 'passed' : 'failed'} for document: ${doc.name}`);
+
+    try {
+        await writeToMCPRelay({
+            command: "sendLog",
+            message: `Preflight ${report.ok ? 'passed' : 'failed'} for ${doc.name}`,
+            report,
+            timestamp: new Date().toISOString()
+        });
+    } catch (mcpError) {
+        log(`[DEBUG] MCP relay write failed: ${mcpError.message}`);
+    }
+
+    if (!report.ok) {
+        throw new PluginError('Preflight failed: CSV columns do not match document layers', 'PREFLIGHT_FAILED', { report });
+    }
+    return report;
+}
+
+// Documents each row is applied to: the active document, or every open
+// document when the text tab targets all open documents
+function getTextTargetDocuments() {
+    if (document.getElementById('textTarget')?.value !== 'all') {
+        return app.activeDocument ? [app.activeDocument] : [];
+    }
+    // Documents open from the template library belong to template rows, not the run targets
+    const templateFolder = textReplaceState.data.templateFolder;
+    const normalizePath = path => String(path || '').replace(/\\/g, '/').replace(/\/+$/, '').toLowerCase();
+    const templatePath = templateFolder ? normalizePath(templateFolder.nativePath) : null;
+    const isTemplate = doc => !!templatePath && normalizePath(doc.path).replace(/\/[^/]*$/, '') === templatePath;
+
+    const targets = [];
+    for (const doc of Array.from(app.documents || [])) {
+        if (isTemplate(doc)) {
+            log(`[DEBUG] Not targeting ${doc.name}: it is open from the template library`);
+        } else {
+            targets.push(doc);
+        }
+    }
+    log(`[DEBUG] Target documents: ${targets.map(doc => doc.name).join(', ') || 'none'}`);
+    return targets;
+}
+
+// Document name without its extension, used for the {doc} filename token
+function documentBaseName(doc) {
+    return (doc?.name || 'Untitled').replace(/\.[^.]+$/, '');
+}
+
+// PNG/PSD, export target and size preset folders under one base folder
+async function setupTextRunFolders(baseFolder) {
+    const folders = await setupTextOutputFolders(baseFolder);
+    folders.exportTargets = await setupExportTargetFolders(baseFolder, textReplaceState.data.exportTargets);
+    folders.sizePresets = await setupSizePresetFolders(baseFolder, textReplaceState.data.sizePresets);
+    return folders;
+}
+
+// Unique output subfolder names for the target documents; documents with the
+// same base name (from different folders) get _2, _3, ...
+function documentFolderNames(docs) {
+    const used = new Set();
+    return docs.map(doc => {
+        const baseName = slugifyFilename(documentBaseName(doc)) || 'document';
+        let folderName = baseName;
+        for (let counter = 2; used.has(folderName.toLowerCase()); counter++) {
+            folderName = `${baseName}_${counter}`;
+        }
+        used.add(folderName.toLowerCase());
+        return folderName;
+    });
+}
+
+// Output folders in a per-document subfolder, used when several documents
+// are targeted and a row's filename pattern has no {doc} token
+async function setupDocumentFolders(outputFolder, doc, folderName) {
+    let folder;
+    try {
+        folder = await outputFolder.getEntry(folderName);
+    } catch (notFoundError) {
+        folder = await outputFolder.createEntry(folderName, { type: 'folder' });
+    }
+    if (!folder.isFolder) {
+        throw new PluginError(`${folderName} exists but is not a folder`, 'FOLDER_CREATE_ERROR', { path: folderName });
+    }
+    log(`[DEBUG] Output subfolder for ${doc.name}: ${folder.nativePath}`);
+    return setupTextRunFolders(folder);
+}
+
+// Combine the per-document results of one row ([{ document, result }]) into a
+// single manifest entry, tagging every error with its document
+function mergeDocumentResults(documentResults) {
+    const results = documentResults.map(({ result }) => result);
+    const errors = documentResults.flatMap(({ document, result }) =>
+        (result.errors || []).map(error => ({ ...error, document })));
+    return {
+        success: results.every(result => result.success),
+        processed: results.reduce((total, result) => total + result.processed, 0),
+        errors: errors.length > 0 ? errors : null,
+        files: results.flatMap(result => result.files || []),
+        values: results[0].values,
+        documents: results.length
+    };
+}
+
+// Per-row templates: a `template` column names a PSD in the template library
+// folder. The row is rendered into that document instead of the active one;
+// a template opened for the row is closed without saving once its files are
+// written, while one that was already open is reused and restored instead.
+async function openRowTemplate(templateName) {
+    const folder = textReplaceState.data.templateFolder;
+    if (!folder) {
+        throw new PluginError(`Row uses template "${templateName}" but no template library folder is selected`, 'TEMPLATE_FOLDER_NOT_SELECTED');
+    }
+    const fileName = /\.psd$/i.test(templateName) ? templateName : `${templateName}.psd`;
+
+    const openDocument = Array.from(app.documents || []).find(doc => doc.name === fileName);
+    if (openDocument) {
+        await activateDocument(openDocument);
+        log(`[DEBUG] Reusing open template ${fileName}`);
+        return { doc: openDocument, name: fileName, opened: false };
+    }
+
+    let file;
+    try {
+        file = await folder.getEntry(fileName);
+    } catch (entryError) {
+        throw new PluginError(`Template ${fileName} not found in ${folder.nativePath}`, 'TEMPLATE_NOT_FOUND', { originalError: entryError });
+    }
+    const doc = await app.executeAsModal(() => app.open(file), { commandName: `Open ${fileName}` });
+    log(`[DEBUG] Opened template ${fileName}`);
+    return { doc, name: fileName, opened: true };
+}
+
+// Check that every template named by the given rows exists in the library
+// folder (or is already open) before any row runs, so a missing file in a
+// late row cannot end the run after earlier rows were written.
+async function checkRowTemplates(rows) {
+    const folder = textReplaceState.data.templateFolder;
+    const fileNames = [...new Set(rows.filter(row => row && row.template)
+        .map(row => /\.psd$/i.test(row.template) ? row.template : `${row.template}.psd`))];
+    if (fileNames.length === 0) {
+        return;
+    }
+    const openNames = new Set(Array.from(app.documents || []).map(doc => doc.name));
+    const missing = [];
+    for (const fileName of fileNames) {
+        if (openNames.has(fileName)) {
+            continue;
+        }
+        try {
+            await folder.getEntry(fileName);
+        } catch (entryError) {
+            missing.push(fileName);
+        }
+    }
+    if (missing.length > 0) {
+        throw new PluginError(`Template${missing.length === 1 ? '' : 's'} not found in ${folder.nativePath}: ${missing.join(', ')}`, 'TEMPLATE_NOT_FOUND', { missing });
+    }
+    log(`[DEBUG] Template check passed for ${fileNames.length} template(s)`);
+}
+
+// Render one row into its own template. options.preflightedTemplates collects
+// the templates already checked this run; options.baseDocument is re-activated
+// afterwards so rows without a template keep using the original document.
+async function processTemplatedTextRow(row, index, total, folders, options) {
+    const template = await openRowTemplate(row.template);
+    const snapshot = template.opened ? null : await createTemplateSnapshot(template.doc);
+    try {
+        const layerMatching = getLayerMatchingPolicy(template.doc);
+        if (!options.preflightedTemplates.has(template.name)) {
+            await runTextPreflight(template.doc, layerMatching);
+            options.preflightedTemplates.add(template.name);
+        }
+        return await processTextRow(row, index, total, folders, { ...options, layerMatching });
+    } finally {
+        if (template.opened) {
+            try {
+                await app.executeAsModal(
+                    () => template.doc.closeWithoutSaving(),
+                    { commandName: `Close ${template.name}` }
+                );
+            } catch (closeError) {
+                log(`[DEBUG] Failed to close ${template.name}: ${closeError.message}`);
+            }
+        } else {
+            await releaseTemplateSnapshot(snapshot);
+        }
+        if (options.baseDocument) {
+            try {
+                await activateDocument(options.baseDocument);
+            } catch (activateError) {
+                log(`[DEBUG] Failed to re-activate ${options.baseDocument.name}: ${activateError.message}`);
+            }
+        }
     }
-    
-    return true;
 }
 
-// Update the processTextReplacement function to check for stop requests
-async function processTextReplacement() {
+// Text tab runner; job is the job runner entry it runs under
+async function processTextReplacement(job) {
     const textStatus = document.getElementById('textStatus');
     const processType = document.querySelector('input[name="processType"]:checked')?.value;
     
-    // Reset the stop flag when starting a new process
-    resetStopProcessing();
+    let runManifest = null;
+    let runError = null;
+    let runCancelled = false;
+    let runTargets = [];
+    let baseDocument = null;
     
     if (!processType) {
         log('[Cursor OK] Process type not selected');
         return;
     }
+    startRunLog('text');
     
     try {
         // Validate state with detailed errors
@@ -2593,36 +5567,85 @@ async function processTextReplacement() {
             throw new PluginError('Output folder not selected', 'FOLDER_NOT_SELECTED');
         }
 
-        const doc = app.activeDocument;
-        if (!doc) {
-            throw new PluginError('No active document found', 'NO_DOCUMENT');
+        // Rows with a template column render into their own PSD; the active
+        // document is only needed for the rows without one
+        const csvData = textReplaceState.data.csvData;
+        if (csvData.some(row => row.template) && !textReplaceState.data.templateFolder) {
+            throw new PluginError('CSV has a template column but no template library folder is selected', 'TEMPLATE_FOLDER_NOT_SELECTED');
+        }
+        const usesTargetDocuments = csvData.some(row => !row.template);
+        const targetDocuments = usesTargetDocuments ? getTextTargetDocuments() : [];
+        if (usesTargetDocuments && targetDocuments.length === 0) {
+            throw new PluginError('No active document found', 'NO_DOCUMENT');
+        }
+        baseDocument = app.activeDocument;
+
+        // Resolve the row selector up front so a typo fails before any work starts
+        let selectedRows = null;
+        if (processType === 'selected') {
+            try {
+                selectedRows = getSelectedRowIndices('text');
+            } catch (selectorError) {
+                textStatus.textContent = selectorError.message;
+                throw selectorError;
+            }
+        }
+
+        // Check the templates of every row about to run before the first one starts
+        const plannedRows = processType === 'current'
+            ? [csvData[textReplaceState.data.currentRowIndex || 0]]
+            : (selectedRows || csvData.map((row, index) => index)
+                .slice(textReplaceState.status.performance.processedRows || 0))
+                .map(index => csvData[index]);
+        try {
+            await checkRowTemplates(plannedRows);
+        } catch (templateError) {
+            textStatus.textContent = templateError.message;
+            throw templateError;
         }
         
-        // Initialize document once at the start
-        textStatus.textContent = 'Initializing document...';
-        try {
-            await ensureDocumentInitialized();
-            log('[DEBUG] Document initialized successfully');
-        } catch (initError) {
-            log(`[DEBUG] Document initialization failed: ${initError.message}`);
-            throw initError;
+        for (const targetDocument of targetDocuments) {
+            await activateDocument(targetDocument);
+
+            // Initialize each target document once at the start
+            textStatus.textContent = `Initializing ${targetDocument.name}...`;
+            try {
+                await ensureDocumentInitialized();
+                log(`[DEBUG] Document initialized successfully: ${targetDocument.name}`);
+            } catch (initError) {
+                log(`[DEBUG] Document initialization failed: ${initError.message}`);
+                throw initError;
+            }
+
+            // Check the template against the CSV before touching any row
+            textStatus.textContent = `Running preflight on ${targetDocument.name}...`;
+            try {
+                const layerMatching = getLayerMatchingPolicy(targetDocument);
+                await runTextPreflight(targetDocument, layerMatching);
+                runTargets.push({ doc: targetDocument, layerMatching, folderName: null, documentFolders: null, snapshot: null, rowsStarted: 0 });
+            } catch (preflightError) {
+                textStatus.textContent = preflightError.message;
+                throw preflightError;
+            }
         }
+        const filenameSettings = getFilenameSettings('text');
 
         // Update state and UI
         textReplaceState.status.isProcessing = true;
         textReplaceState.status.currentOperation = 'text_replacement';
         textStatus.textContent = 'Setting up output folders...';
         
-        // Show stop button
-        const stopButton = document.getElementById('stopProcessingBtn');
-        if (stopButton) {
-            stopButton.style.display = 'block';
-        }
-        
         // Setup output folders using text-specific function
+        // Several target documents share the output folders only for rows whose
+        // filename pattern has {doc}; other rows go into per-document
+        // subfolders, created the first time a row needs them
         let folders;
         try {
-            folders = await setupTextOutputFolders(textReplaceState.data.outputFolder);
+            folders = await setupTextRunFolders(textReplaceState.data.outputFolder);
+            const folderNames = documentFolderNames(runTargets.map(target => target.doc));
+            runTargets.forEach((target, index) => {
+                target.folderName = folderNames[index];
+            });
         } catch (folderError) {
             console.error("[DEBUG] Folder setup failed:", folderError);
             throw new PluginError(
@@ -2632,44 +5655,101 @@ async function processTextReplacement() {
             );
         }
         
+        startOutputRun(getCollisionPolicy('text'));
+        runManifest = createRunManifest('text');
+        textStatus.textContent = 'Snapshotting template...';
+        for (const target of runTargets) {
+            target.snapshot = await createTemplateSnapshot(target.doc);
+        }
         textStatus.textContent = 'Processing...';
         const startTime = Date.now();
+        const rowOptions = {
+            filename: filenameSettings,
+            autoFit: getAutoFitSettings(),
+            artboards: getArtboardSettings('text'),
+            job,
+            baseDocument,
+            preflightedTemplates: new Set()
+        };
+
+        // Apply a row to every target document, undoing the previous row's
+        // edits first so every row starts from the template. With several
+        // documents, one document's failure is recorded as that document's
+        // error and the others still run.
+        const runTargetRow = async (row, rowIndex) => {
+            if (runTargets.length === 1) {
+                const [target] = runTargets;
+                if (target.rowsStarted++ > 0) {
+                    await restoreTemplateSnapshot(target.snapshot);
+                }
+                return processTextRow(row, rowIndex, csvData.length, folders,
+                    { ...rowOptions, layerMatching: target.layerMatching });
+            }
+
+            const sharedFolders = (row.filename || filenameSettings.template).includes('{doc}');
+            const documentResults = [];
+            for (const target of runTargets) {
+                let result;
+                try {
+                    await activateDocument(target.doc);
+                    if (target.rowsStarted++ > 0) {
+                        await restoreTemplateSnapshot(target.snapshot);
+                    }
+                    if (!sharedFolders && !target.documentFolders) {
+                        target.documentFolders = await setupDocumentFolders(
+                            textReplaceState.data.outputFolder, target.doc, target.folderName);
+                    }
+                    result = await processTextRow(row, rowIndex, csvData.length,
+                        sharedFolders ? folders : target.documentFolders,
+                        { ...rowOptions, layerMatching: target.layerMatching });
+                } catch (documentError) {
+                    if (documentError.code === 'JOB_CANCELLED' || documentError.code === 'OUTPUT_COLLISION') {
+                        throw documentError;
+                    }
+                    log(`[DEBUG] Row ${rowIndex + 1} failed for ${target.doc.name}: ${documentError.message}`);
+                    result = {
+                        success: false,
+                        processed: 0,
+                        errors: [{ error: documentError.message, code: documentError.code }],
+                        files: [],
+                        values: pickLayerValues(row)
+                    };
+                }
+                documentResults.push({ document: target.doc.name, result });
+            }
+            return mergeDocumentResults(documentResults);
+        };
+        const runRow = (row, rowIndex) => row.template
+            ? processTemplatedTextRow(row, rowIndex, csvData.length, folders, rowOptions)
+            : runTargetRow(row, rowIndex);
         
         try {
-            // Update UI to show stop button
-            const processButton = document.getElementById('processText');
-            if (processButton) {
-                processButton.textContent = 'Stop Processing';
-                processButton.classList.add('stop-button');
-                processButton.disabled = true; // Disable the main button while stop button is active
-            }
-            
             // Process single row or all rows
             if (processType === 'current') {
-                const currentRowIndex = textReplaceState.status.performance.processedRows || 0;
+                const currentRowIndex = textReplaceState.data.currentRowIndex || 0;
                 if (currentRowIndex < textReplaceState.data.csvData.length) {
+                    await job.checkpoint();
                     const row = textReplaceState.data.csvData[currentRowIndex];
                     textStatus.textContent = `Processing row ${currentRowIndex + 1}/${textReplaceState.data.csvData.length}...`;
                     const progressElement = document.getElementById('processingProgress');
                     if (progressElement) {
                         progressElement.textContent = `Processing row ${currentRowIndex + 1} of ${textReplaceState.data.csvData.length}`;
                     }
-                    await processTextRow(row, currentRowIndex, textReplaceState.data.csvData.length, folders);
+                    await recordManifestRow(runManifest, row, currentRowIndex,
+                        () => runRow(row, currentRowIndex));
                     textStatus.textContent = `Processed row ${currentRowIndex + 1}/${textReplaceState.data.csvData.length}`;
                 } else {
                     textStatus.textContent = 'No more rows to process';
                 }
             } else {
-                // Process all rows with stop check
+                // Process all remaining rows, or the selected rows, pausing or
+                // cancelling between rows as the job requests
                 const startIndex = textReplaceState.status.performance.processedRows || 0;
-                for (let i = startIndex; i < textReplaceState.data.csvData.length; i++) {
-                    // Check if processing should stop
-                    if (shouldStopProcessing()) {
-                        textStatus.textContent = 'Processing stopped by user';
-                        log('[DEBUG] Processing stopped by user request');
-                        break;
-                    }
-                    
+                const rowIndices = selectedRows ||
+                    textReplaceState.data.csvData.map((row, index) => index).slice(startIndex);
+                for (const i of rowIndices) {
+                    await job.checkpoint();
+
                     const row = textReplaceState.data.csvData[i];
                     textStatus.textContent = `Processing row ${i + 1}/${textReplaceState.data.csvData.length}...`;
                     
@@ -2679,30 +5759,16 @@ async function processTextReplacement() {
                         progressElement.textContent = `Processing row ${i + 1} of ${textReplaceState.data.csvData.length}`;
                     }
                     
-                    await processTextRow(row, i, textReplaceState.data.csvData.length, folders);
-                    textReplaceState.status.performance.processedRows = i + 1;
+                    await recordManifestRow(runManifest, row, i, () => runRow(row, i));
+                    // Selected runs leave the current-row cursor untouched
+                    if (!selectedRows) {
+                        textReplaceState.status.performance.processedRows = i + 1;
+                    }
                 }
                 
-                if (!shouldStopProcessing()) {
-                    textStatus.textContent = 'All rows processed';
-                }
-            }
-            
-            // Reset the button
-            if (processButton) {
-                processButton.textContent = 'Process CSV';
-                processButton.classList.remove('stop-button');
-                processButton.disabled = false;
-            }
-            
-            // Hide stop button
-            if (stopButton) {
-                stopButton.style.display = 'none';
+                textStatus.textContent = selectedRows ? `${selectedRows.length} selected rows processed` : 'All rows processed';
             }
             
-            // Reset stop flag
-            resetStopProcessing();
-            
             const duration = Date.now() - startTime;
             
             await writeToMCPRelay({
@@ -2729,37 +5795,41 @@ async function processTextReplacement() {
             throw error;
         }
     } catch (error) {
-        console.error("[DEBUG] Text replacement error:", error);
-        throw error;
+        if (error.code === 'JOB_CANCELLED') {
+            runCancelled = true;
+            textStatus.textContent = 'Processing cancelled by user';
+            log('[DEBUG] Processing cancelled by user request');
+        } else {
+            console.error("[DEBUG] Text replacement error:", error);
+            runError = error;
+            throw error;
+        }
     } finally {
-        // Always reset the button state
-        const processButton = document.getElementById('processText');
-        if (processButton) {
-            processButton.textContent = 'Process CSV';
-            processButton.classList.remove('stop-button');
-            processButton.disabled = false;
+        const outcome = runError ? `failed: ${runError.message}` : (runCancelled ? 'cancelled' : 'completed');
+
+        for (const target of runTargets) {
+            await releaseTemplateSnapshot(target.snapshot);
         }
-        
-        // Hide stop button
-        const stopButton = document.getElementById('stopProcessingBtn');
-        if (stopButton) {
-            stopButton.style.display = 'none';
+        try {
+            await activateDocument(baseDocument);
+        } catch (activateError) {
+            log(`[DEBUG] Failed to re-activate ${baseDocument.name}: ${activateError.message}`);
         }
-        
-        // Reset stop flag
-        resetStopProcessing();
+        await finishRunOutputs(textReplaceState.data.outputFolder, runManifest, outcome);
         
         textReplaceState.status.isProcessing = false;
     }
 }
 
-// Update processImageReplacement to use document initialization
-async function processImageReplacement() {
+// Image tab runner; job is the job runner entry it runs under
+async function processImageReplacement(job) {
     const imageStatus = document.getElementById('imageStatus');
     const processType = document.querySelector('input[name="processTypeImg"]:checked')?.value;
     
-    // Reset the stop flag when starting a new process
-    isProcessingStopped = false;
+    let runManifest = null;
+    let runError = null;
+    let runCancelled = false;
+    startRunLog('image');
     
     try {
         // Validate state
@@ -2767,14 +5837,15 @@ async function processImageReplacement() {
             throw new PluginError('Please load a CSV file first', 'CSV_NOT_LOADED');
         }
 
+        if (!imageReplaceState.data.inputFolder) {
+            throw new PluginError('Please select an input folder first', 'INPUT_FOLDER_NOT_SELECTED');
+        }
+
         if (!imageReplaceState.data.outputFolder) {
             throw new PluginError('Please select an output folder first', 'FOLDER_NOT_SELECTED');
         }
 
-        const doc = app.activeDocument;
-        if (!doc) {
-            throw new PluginError('No active document found', 'NO_DOCUMENT');
-        }
+        const selectedRows = processType === 'selected' ? getSelectedRowIndices('image') : null;
 
         // Update state
         imageReplaceState.status.isProcessing = true;
@@ -2783,63 +5854,53 @@ async function processImageReplacement() {
         // Setup output folders using image-specific function
         imageStatus.textContent = 'Setting up output folders...';
         const folders = await setupImageOutputFolders(imageReplaceState.data.outputFolder);
+        folders.exportTargets = await setupExportTargetFolders(
+            imageReplaceState.data.outputFolder,
+            imageReplaceState.data.exportTargets
+        );
         
+        startOutputRun(getCollisionPolicy('image'));
+        runManifest = createRunManifest('image');
         imageStatus.textContent = 'Processing...';
-
-        // Update UI to show stop button
-        const processButton = document.getElementById('processImages');
-        if (processButton) {
-            processButton.textContent = 'Stop Processing';
-            processButton.classList.add('stop-button');
-            // Change the button to a stop button
-            processButton.onclick = () => {
-                isProcessingStopped = true;
-                imageStatus.textContent = 'Stopping processing...';
-                log('[DEBUG] Processing stop requested by user');
-                processButton.disabled = true;
-            };
-        }
+        const rowOptions = {
+            filename: getFilenameSettings('image'),
+            artboards: getArtboardSettings('image'),
+            job
+        };
         
         // Process single row or all rows
         if (processType === 'current') {
             const currentRowIndex = imageReplaceState.status.performance.processedRows || 0;
             if (currentRowIndex < imageReplaceState.data.csvData.length) {
+                await job.checkpoint();
                 const row = imageReplaceState.data.csvData[currentRowIndex];
                 imageStatus.textContent = `Processing row ${currentRowIndex + 1}/${imageReplaceState.data.csvData.length}...`;
-                await processImageRow(row, currentRowIndex, imageReplaceState.data.csvData.length);
+                await recordManifestRow(runManifest, row, currentRowIndex,
+                    () => processImageRow(row, currentRowIndex, imageReplaceState.data.csvData.length, folders, rowOptions));
                 imageStatus.textContent = `Processed row ${currentRowIndex + 1}/${imageReplaceState.data.csvData.length}`;
             } else {
                 imageStatus.textContent = 'No more rows to process';
             }
         } else {
-            // Process all rows with stop check
+            // Process all remaining rows, or the selected rows, pausing or
+            // cancelling between rows as the job requests
             const startIndex = imageReplaceState.status.performance.processedRows || 0;
-            for (let i = startIndex; i < imageReplaceState.data.csvData.length; i++) {
-                // Check if processing should stop
-                if (isProcessingStopped) {
-                    imageStatus.textContent = 'Processing stopped by user';
-                    log('[DEBUG] Processing stopped by user request');
-                    break;
-                }
+            const rowIndices = selectedRows ||
+                imageReplaceState.data.csvData.map((row, index) => index).slice(startIndex);
+            for (const i of rowIndices) {
+                await job.checkpoint();
                 
                 const row = imageReplaceState.data.csvData[i];
                 imageStatus.textContent = `Processing row ${i + 1}/${imageReplaceState.data.csvData.length}...`;
-                await processImageRow(row, i, imageReplaceState.data.csvData.length);
-                imageReplaceState.status.performance.processedRows = i + 1;
+                await recordManifestRow(runManifest, row, i,
+                    () => processImageRow(row, i, imageReplaceState.data.csvData.length, folders, rowOptions));
+                // Selected runs leave the current-row cursor untouched
+                if (!selectedRows) {
+                    imageReplaceState.status.performance.processedRows = i + 1;
+                }
             }
             
-            if (!isProcessingStopped) {
-                imageStatus.textContent = 'All rows processed';
-            }
-        }
-        
-        // Reset the button
-        if (processButton) {
-            processButton.textContent = 'Process CSV';
-            processButton.classList.remove('stop-button');
-            processButton.disabled = false;
-            // Restore original click handler
-            processButton.onclick = processImageReplacement;
+            imageStatus.textContent = selectedRows ? `${selectedRows.length} selected rows processed` : 'All rows processed';
         }
         
         // Write to MCP relay
@@ -2851,17 +5912,17 @@ async function processImageReplacement() {
 
         log('[Cursor OK] Image replacement completed');
     } catch (error) {
-        await handleError(error, 'image');
-    } finally {
-        // Always reset the button state
-        const processButton = document.getElementById('processImages');
-        if (processButton) {
-            processButton.textContent = 'Process CSV';
-            processButton.classList.remove('stop-button');
-            processButton.disabled = false;
-            // Restore original click handler
-            processButton.onclick = processImageReplacement;
+        if (error.code === 'JOB_CANCELLED') {
+            runCancelled = true;
+            imageStatus.textContent = 'Processing cancelled by user';
+            log('[DEBUG] Processing cancelled by user request');
+        } else {
+            runError = error;
+            await handleError(error, 'image');
         }
+    } finally {
+        const outcome = runError ? `failed: ${runError.message}` : (runCancelled ? 'cancelled' : 'completed');
+        await finishRunOutputs(imageReplaceState.data.outputFolder, runManifest, outcome);
         
         imageReplaceState.status.isProcessing = false;
     }
@@ -2872,22 +5933,29 @@ document.getElementById('loadCSV').addEventListener('click', async () => {
     try {
         const file = await fs.getFileForOpening({ types: ['csv'] });
         if (file) {
-            await loadTextCSV(file);
-            document.getElementById('textStatus').textContent = 'CSV file loaded successfully';
+            const data = await loadTextCSV(file);
+            renderTextCSVPreview();
+            renderHeaderMappingEditor('text');
+            const invalidCount = textReplaceState.data.invalidCells.length;
+            document.getElementById('textStatus').textContent = invalidCount > 0
+                ? `CSV file loaded: ${data.length} rows, ${invalidCount} invalid cells marked`
+                : `CSV file loaded successfully: ${data.length} rows`;
         }
     } catch (error) {
-        log(`[Cursor OK] Error loading CSV: ${error.message}`);
-        document.getElementById('textStatus').textContent = 'Error loading CSV file';
+        const statusText = describeCSVLoadError(error);
+        renderHeaderMappingEditor('text');
+        log(`[Cursor OK] Error loading CSV: ${error.message} (${statusText})`);
+        document.getElementById('textStatus').textContent = statusText;
     }
 });
 
 // Event Listeners for Image Replace
 document.getElementById('loadInputFolder').addEventListener('click', async () => {
     try {
-        imageReplaceState.data.outputFolder = await fs.getFolder();
-        if (imageReplaceState.data.outputFolder) {
-            log(`[Cursor OK] Input folder selected: ${imageReplaceState.data.outputFolder.nativePath}`);
-            document.getElementById('imageStatus').textContent = `Input folder: ${imageReplaceState.data.outputFolder.nativePath}`;
+        imageReplaceState.data.inputFolder = await fs.getFolder();
+        if (imageReplaceState.data.inputFolder) {
+            log(`[Cursor OK] Input folder selected: ${imageReplaceState.data.inputFolder.nativePath}`);
+            document.getElementById('imageStatus').textContent = `Input folder: ${imageReplaceState.data.inputFolder.nativePath}`;
         }
     } catch (error) {
         log(`Error selecting input folder: ${error.message}`);
@@ -2899,12 +5967,17 @@ document.getElementById('loadCSVImages').addEventListener('click', async () => {
     try {
         const file = await fs.getFileForOpening({ types: ['csv'] });
         if (file) {
-            await loadImageCSV(file);
-            document.getElementById('imageStatus').textContent = 'CSV file loaded successfully';
+            const data = await loadImageCSV(file);
+            renderHeaderMappingEditor('image');
+            const profile = imageReplaceState.data.headerProfile;
+            document.getElementById('imageStatus').textContent = profile
+                ? `CSV file loaded: ${data.length} rows (profile "${profile.name}")`
+                : 'CSV file loaded successfully';
         }
     } catch (error) {
+        renderHeaderMappingEditor('image');
         log(`Error loading CSV: ${error.message}`);
-        document.getElementById('imageStatus').textContent = 'Error loading CSV file';
+        document.getElementById('imageStatus').textContent = describeCSVLoadError(error);
     }
 });
 
@@ -2941,6 +6014,20 @@ document.getElementById('selectOutputFolder').addEventListener('click', async ()
     }
 });
 
+document.getElementById('selectTemplateFolder').addEventListener('click', async () => {
+    try {
+        const folder = await fs.getFolder();
+        if (folder) {
+            textReplaceState.data.templateFolder = folder;
+            log(`[Cursor OK] Template library folder selected: ${folder.nativePath}`);
+            document.getElementById('textStatus').textContent = `Template folder: ${folder.nativePath}`;
+        }
+    } catch (error) {
+        log(`Error selecting template folder: ${error.message}`);
+        document.getElementById('textStatus').textContent = 'Error selecting template folder';
+    }
+});
+
 document.getElementById('selectOutputFolderImg').addEventListener('click', async () => {
     try {
         imageReplaceState.data.outputFolder = await fs.getFolder();
@@ -2956,9 +6043,317 @@ document.getElementById('selectOutputFolderImg').addEventListener('click', async
     }
 });
 
+// Header mapping profiles: save the editor as a named profile for the loaded
+// CSV's header set and reload the CSV through it, or delete a profile
+async function reloadCSVWithProfile(tab) {
+    const state = tab === 'image' ? imageReplaceState : textReplaceState;
+    if (tab === 'image') {
+        await loadImageCSV(state.data.csvFile);
+    } else {
+        await loadTextCSV(state.data.csvFile);
+        renderTextCSVPreview();
+    }
+    renderHeaderMappingEditor(tab);
+}
+
+['text', 'image'].forEach(tab => {
+    const suffix = tab === 'image' ? 'Img' : '';
+    const state = tab === 'image' ? imageReplaceState : textReplaceState;
+    const statusElement = document.getElementById(tab === 'image' ? 'imageStatus' : 'textStatus');
+
+    document.getElementById(`saveHeaderProfile${suffix}`).addEventListener('click', async () => {
+        try {
+            const name = document.getElementById(`headerProfileName${suffix}`).value.trim();
+            const rawHeaders = state.data.csvRawHeaders;
+            if (!rawHeaders) {
+                throw new PluginError('Load a CSV before saving a header mapping', 'CSV_NOT_LOADED');
+            }
+            if (!name) {
+                throw new PluginError('Enter a profile name', 'INVALID_HEADER_MAPPING');
+            }
+            const mapping = readHeaderMappingEditor(tab);
+            validateHeaderMapping(tab, rawHeaders, mapping);
+
+            // A header set maps to one profile, so drop any other profile for it
+            const profiles = Object.fromEntries(Object.entries(readHeaderProfiles(tab))
+                .filter(([profileName, profile]) => profileName === name || headerSetKey(profile.headers) !== headerSetKey(rawHeaders)));
+            profiles[name] = { headers: rawHeaders, mapping };
+            writeHeaderProfiles(tab, profiles);
+            log(`[Cursor OK] Header mapping profile "${name}" saved (${Object.keys(mapping).length} mapped headers)`);
+
+            await reloadCSVWithProfile(tab);
+            statusElement.textContent = `Profile "${name}" saved and applied`;
+        } catch (error) {
+            log(`Error saving header mapping: ${error.message}`);
+            statusElement.textContent = error.code === 'CSV_LOAD_ERROR' ? describeCSVLoadError(error) : error.message;
+        }
+    });
+
+    document.getElementById(`deleteHeaderProfile${suffix}`).addEventListener('click', async () => {
+        const name = document.getElementById(`headerProfileSelect${suffix}`).value;
+        if (!name) {
+            return;
+        }
+        const profiles = readHeaderProfiles(tab);
+        delete profiles[name];
+        writeHeaderProfiles(tab, profiles);
+        log(`[Cursor OK] Header mapping profile "${name}" deleted`);
+        try {
+            if (state.data.csvFile) {
+                await reloadCSVWithProfile(tab);
+            } else {
+                renderHeaderMappingEditor(tab);
+            }
+            statusElement.textContent = `Profile "${name}" deleted`;
+        } catch (error) {
+            log(`Error reloading CSV: ${error.message}`);
+            statusElement.textContent = describeCSVLoadError(error);
+        }
+    });
+
+    document.getElementById(`headerProfileSelect${suffix}`).addEventListener('change', event => {
+        document.getElementById(`headerProfileName${suffix}`).value = event.target.value;
+    });
+});
+
+// Small form builders shared by the list editors (export targets, size presets)
+function createSelect(values, selected, labelFor) {
+    const select = document.createElement('select');
+    select.className = 'number-input';
+    values.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = labelFor ? labelFor(value) : value;
+        option.selected = value === selected;
+        select.appendChild(option);
+    });
+    return select;
+}
+
+function createField(labelText, input, className = 'inline-field') {
+    const field = document.createElement('label');
+    field.className = className;
+    field.textContent = labelText;
+    field.appendChild(input);
+    return field;
+}
+
+function createInput(type, value, className) {
+    const input = document.createElement('input');
+    input.type = type;
+    input.className = className;
+    if (type === 'checkbox') {
+        input.checked = value;
+    } else {
+        input.value = value;
+    }
+    return input;
+}
+
+// Export target editor: one row of format options per target
+function renderExportTargets(tab) {
+    const suffix = tab === 'image' ? 'Img' : '';
+    const state = tab === 'image' ? imageReplaceState : textReplaceState;
+    const container = document.getElementById(`exportTargets${suffix}`);
+    if (!container) {
+        return;
+    }
+    container.innerHTML = '';
+
+    const updateTarget = (targetIndex, changes) => {
+        state.data.exportTargets[targetIndex] = normalizeExportTarget({ ...state.data.exportTargets[targetIndex], ...changes }, tab);
+        saveExportTargets(tab);
+        renderExportTargets(tab);
+    };
+
+    state.data.exportTargets.forEach((target, targetIndex) => {
+        const format = exportFormats[target.format];
+        const row = document.createElement('div');
+        row.className = 'export-target';
+
+        const formatSelect = createSelect(Object.keys(exportFormats), target.format, key => exportFormats[key].label);
+        formatSelect.addEventListener('change', () => updateTarget(targetIndex, { format: formatSelect.value, compression: '', subfolder: '' }));
+        row.appendChild(createField('Format', formatSelect));
+
+        const qualityInput = createInput('number', target.quality, 'number-input');
+        qualityInput.min = '0';
+        qualityInput.max = '100';
+        qualityInput.addEventListener('change', () => updateTarget(targetIndex, { quality: qualityInput.value }));
+        row.appendChild(createField('Quality (0-100)', qualityInput));
+
+        if (format.compressions.length > 0) {
+            const compressionSelect = createSelect(format.compressions, target.compression);
+            compressionSelect.addEventListener('change', () => updateTarget(targetIndex, { compression: compressionSelect.value }));
+            row.appendChild(createField('Compression', compressionSelect));
+        }
+
+        const profileInput = createInput('text', target.iccProfile, 'text-input');
+        profileInput.placeholder = 'Convert to ICC profile, e.g. sRGB IEC61966-2.1';
+        profileInput.addEventListener('change', () => updateTarget(targetIndex, { iccProfile: profileInput.value }));
+        row.appendChild(profileInput);
+
+        const embedInput = createInput('checkbox', target.embedProfile);
+        embedInput.addEventListener('change', () => updateTarget(targetIndex, { embedProfile: embedInput.checked }));
+        row.appendChild(createField('Embed ICC profile', embedInput, 'checkbox'));
+
+        const flattenInput = createInput('checkbox', target.flatten);
+        flattenInput.addEventListener('change', () => updateTarget(targetIndex, { flatten: flattenInput.checked }));
+        row.appendChild(createField('Flatten', flattenInput, 'checkbox'));
+
+        const subfolderInput = createInput('text', target.subfolder, 'text-input');
+        subfolderInput.addEventListener('change', () => updateTarget(targetIndex, { subfolder: subfolderInput.value }));
+        row.appendChild(createField('Subfolder', subfolderInput));
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'secondary-button';
+        removeButton.textContent = `Remove ${format.label} target`;
+        removeButton.addEventListener('click', () => {
+            state.data.exportTargets.splice(targetIndex, 1);
+            saveExportTargets(tab);
+            renderExportTargets(tab);
+        });
+        row.appendChild(removeButton);
+
+        container.appendChild(row);
+    });
+}
+
+['text', 'image'].forEach(tab => {
+    const suffix = tab === 'image' ? 'Img' : '';
+    const state = tab === 'image' ? imageReplaceState : textReplaceState;
+    document.getElementById(`addExportTarget${suffix}`).addEventListener('click', () => {
+        state.data.exportTargets.push(normalizeExportTarget({}, tab));
+        saveExportTargets(tab);
+        renderExportTargets(tab);
+    });
+});
+
+// Size preset editor for the text tab
+function renderSizePresets() {
+    const container = document.getElementById('sizePresets');
+    if (!container) {
+        return;
+    }
+    container.innerHTML = '';
+
+    const presets = textReplaceState.data.sizePresets;
+    const updatePreset = (presetIndex, changes) => {
+        presets[presetIndex] = normalizeSizePreset({ ...presets[presetIndex], ...changes }, presetIndex);
+        saveSizePresets();
+        renderSizePresets();
+    };
+
+    presets.forEach((preset, presetIndex) => {
+        const row = document.createElement('div');
+        row.className = 'export-target';
+
+        const nameInput = createInput('text', preset.name, 'text-input');
+        nameInput.addEventListener('change', () => updatePreset(presetIndex, { name: nameInput.value }));
+        row.appendChild(createField('Name (subfolder)', nameInput));
+
+        ['width', 'height', 'scale', 'padding'].forEach(key => {
+            const input = createInput('number', preset[key], 'number-input');
+            input.min = '0';
+            if (key === 'scale') input.step = '0.1';
+            input.addEventListener('change', () => updatePreset(presetIndex, { [key]: input.value }));
+            row.appendChild(createField({ width: 'Width (px)', height: 'Height (px)', scale: 'Scale', padding: 'Padding (px)' }[key], input));
+        });
+
+        const resampleSelect = createSelect(Object.keys(resampleMethods), preset.resample);
+        resampleSelect.addEventListener('change', () => updatePreset(presetIndex, { resample: resampleSelect.value }));
+        row.appendChild(createField('Resample', resampleSelect));
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'secondary-button';
+        removeButton.textContent = `Remove ${preset.name}`;
+        removeButton.addEventListener('click', () => {
+            presets.splice(presetIndex, 1);
+            saveSizePresets();
+            renderSizePresets();
+        });
+        row.appendChild(removeButton);
+
+        container.appendChild(row);
+    });
+}
+
+document.getElementById('addSizePreset').addEventListener('click', () => {
+    const presets = textReplaceState.data.sizePresets;
+    presets.push(normalizeSizePreset({}, presets.length));
+    saveSizePresets();
+    renderSizePresets();
+});
+
+// Layer mapping table storage for the active template
+document.getElementById('loadLayerMapping').addEventListener('click', () => {
+    const doc = app.activeDocument;
+    if (!doc) {
+        document.getElementById('textStatus').textContent = 'Open a template to load its layer mapping';
+        return;
+    }
+    document.getElementById('layerMappingTable').value = loadStoredLayerMapping(doc.name);
+    layerMappingEditorDocument = doc.name;
+    log(`[Cursor OK] Layer mapping loaded for template: ${doc.name}`);
+});
+
+document.getElementById('saveLayerMapping').addEventListener('click', () => {
+    const doc = app.activeDocument;
+    const mappingText = document.getElementById('layerMappingTable').value;
+    try {
+        if (!doc) {
+            throw new PluginError('Open a template to save its layer mapping', 'NO_DOCUMENT');
+        }
+        parseLayerMappingTable(mappingText);
+        saveStoredLayerMapping(doc.name, mappingText);
+        layerMappingEditorDocument = doc.name;
+        log(`[Cursor OK] Layer mapping saved for template: ${doc.name}`);
+        document.getElementById('textStatus').textContent = `Layer mapping saved for ${doc.name}`;
+    } catch (error) {
+        log(`Error saving layer mapping: ${error.message}`);
+        document.getElementById('textStatus').textContent = error.message;
+    }
+});
+
 // Process button event listeners
-document.getElementById('processText').addEventListener('click', processTextReplacement);
-document.getElementById('processImages').addEventListener('click', processImageReplacement);
+document.getElementById('processText').addEventListener('click', () => runJob('text', processTextReplacement));
+document.getElementById('processImages').addEventListener('click', () => runJob('image', processImageReplacement));
+
+// Pause/Resume and Cancel act on the tab's current job
+['text', 'image'].forEach(tab => {
+    const suffix = tab === 'image' ? 'Img' : '';
+    document.getElementById(`pauseJob${suffix}`).addEventListener('click', () => {
+        const job = jobsByTab[tab];
+        if (job?.status === 'paused') {
+            job.resume();
+        } else {
+            job?.pause();
+        }
+    });
+    document.getElementById(`cancelJob${suffix}`).addEventListener('click', () => jobsByTab[tab]?.cancel());
+    renderJobControls(tab);
+});
+
+// Temporary file cleanup: relay retention inputs and the Clean Now button
+['relayMaxFiles', 'relayMaxAgeHours'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+        saveRelayRetention({
+            maxFiles: document.getElementById('relayMaxFiles').value,
+            maxAgeHours: document.getElementById('relayMaxAgeHours').value
+        });
+    });
+});
+
+document.getElementById('cleanTempFiles').addEventListener('click', async () => {
+    const status = document.getElementById('tempFilesStatus');
+    try {
+        const { deleted, kept } = await cleanupTempArtifacts('manual');
+        status.textContent = `Deleted ${deleted} temporary files, kept ${kept} relay logs`;
+        log(`[Cursor OK] Temporary files cleaned: ${deleted} deleted`);
+    } catch (error) {
+        log(`Error cleaning temporary files: ${error.message}`);
+        status.textContent = 'Error cleaning temporary files';
+    }
+});
 
 // Restart Plugin button event listener
 document.getElementById('restartPlugin').addEventListener('click', async () => {
@@ -3043,6 +6438,15 @@ function initializeTabs() {
     switchTab('textReplace');
 }
 
+// A crash outside the runners' own error handling still flushes the run log
+window.addEventListener('unhandledrejection', event => {
+    if (runLog) {
+        const state = runLog.tab === 'image' ? imageReplaceState : textReplaceState;
+        log(`Unhandled error: ${event.reason?.message || event.reason}`);
+        flushRunLog(state.data.outputFolder, `crashed: ${event.reason?.message || event.reason}`);
+    }
+});
+
 // Initialize plugin
 document.addEventListener('DOMContentLoaded', () => {
     log('[Cursor OK] Plugin initialized');
@@ -3050,6 +6454,23 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initialize tabs
     initializeTabs();
 
+    // Restore the export targets from the last session
+    ['text', 'image'].forEach(tab => {
+        const state = tab === 'image' ? imageReplaceState : textReplaceState;
+        state.data.exportTargets = loadExportTargets(tab);
+        renderExportTargets(tab);
+    });
+    textReplaceState.data.sizePresets = loadSizePresets();
+    renderSizePresets();
+
+    // Restore the relay retention and clear what earlier sessions left behind
+    const relayRetention = loadRelayRetention();
+    document.getElementById('relayMaxFiles').value = relayRetention.maxFiles;
+    document.getElementById('relayMaxAgeHours').value = relayRetention.maxAgeHours;
+    cleanupTempArtifacts('plugin load').catch(error => {
+        log(`[DEBUG] Temporary file cleanup failed: ${error.message}`);
+    });
+
     // Write to MCP relay
     writeToMCPRelay({
         command: "sendLog",
@@ -3069,232 +6490,3 @@ document.addEventListener('DOMContentLoaded', () => {
     `;
     document.head.appendChild(style);
 });
-
-// Add event listener for stop button
-document.addEventListener('DOMContentLoaded', function() {
-    // Add existing event listeners
-    
-    // Add stop button event listener
-    const stopButton = document.getElementById('stopProcessingBtn');
-    if (stopButton) {
-        stopButton.addEventListener('click', requestStopProcessing);
-    }
-    
-    // Other existing event listeners
-});
-
-async function processCSV(csvData) {
-    // Reset stop processing flag at the start of each CSV processing
-    stopProcessingRequested = false;
-    
-    try {
-        log(`[DEBUG] Starting CSV processing with ${csvData.length} rows`);
-        
-        // Update UI to show processing started
-        const statusElement = document.getElementById('textStatus');
-        const progressElement = document.getElementById('processingProgress');
-        
-        if (statusElement) {
-            statusElement.textContent = 'Processing...';
-            statusElement.style.color = '#4CAF50';
-        }
-        
-        // Show stop button during processing
-        const stopButton = document.getElementById('stopProcessingBtn');
-        if (stopButton) {
-            stopButton.style.display = 'block';
-            stopButton.disabled = false;
-        }
-        
-        // Setup output folders
-        const folders = await setupTextOutputFolders(textReplaceState.data.outputFolder);
-        log(`[DEBUG] Output folders setup complete`);
-        
-        // Get processing type
-        const processType = document.querySelector('input[name="processType"]:checked').value;
-        
-        // Process rows based on selection
-        const results = [];
-        let processedCount = 0;
-        let errorCount = 0;
-        let savedFileCount = 0;
-        
-        if (processType === 'current') {
-            // Process only the current row
-            const currentRow = textReplaceState.data.currentRow;
-            if (!currentRow) {
-                throw new PluginError('No current row selected', 'NO_CURRENT_ROW');
-            }
-            
-            const rowIndex = textReplaceState.data.currentRowIndex;
-            
-            try {
-                // Update UI with current progress
-                if (progressElement) {
-                    progressElement.textContent = `Processing row ${rowIndex + 1}...`;
-                }
-                
-                log(`[DEBUG] Processing single row ${rowIndex + 1}`);
-                const result = await processTextRow(currentRow, rowIndex + 1, 1, folders);
-                
-                // Track successful saves
-                if (result.success) {
-                    processedCount++;
-                    
-                    // Check if files were saved
-                    const filesSaved = result.filesSaved || {};
-                    if (filesSaved.png) {
-                        savedFileCount += (filesSaved.png ? 1 : 0);
-                    }
-                }
-                
-                // Track errors
-                if (result.errors && result.errors.length > 0) {
-                    errorCount += result.errors.length;
-                }
-                
-                results.push(result);
-            } catch (rowError) {
-                log(`[DEBUG] Error processing row ${rowIndex + 1}: ${rowError.message}`);
-                errorCount++;
-                results.push({
-                    success: false,
-                    error: rowError.message,
-                    rowIndex: rowIndex + 1
-                });
-            }
-        } else {
-            // Process all rows
-            for (let i = 0; i < csvData.length; i++) {
-                // Check if processing should stop
-                if (shouldStopProcessing()) {
-                    log(`[DEBUG] Processing stopped by user after ${processedCount} rows`);
-                    break;
-                }
-                
-                const row = csvData[i];
-                
-                try {
-                    // Update UI with current progress
-                    if (progressElement) {
-                        progressElement.textContent = `Processing row ${i + 1} of ${csvData.length}...`;
-                    }
-                    
-                    log(`[DEBUG] Processing row ${i + 1} of ${csvData.length}`);
-                    const result = await processTextRow(row, i + 1, csvData.length, folders);
-                    
-                    // Track successful saves
-                    if (result.success) {
-                        processedCount++;
-                        
-                        // Check if files were saved
-                        const filesSaved = result.filesSaved || {};
-                        if (filesSaved.png) {
-                            savedFileCount += (filesSaved.png ? 1 : 0);
-                        }
-                    }
-                    
-                    // Track errors
-                    if (result.errors && result.errors.length > 0) {
-                        errorCount += result.errors.length;
-                    }
-                    
-                    results.push(result);
-                    
-                    // Pause briefly to allow UI updates and prevent freezing
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                    
-                } catch (rowError) {
-                    log(`[DEBUG] Error processing row ${i + 1}: ${rowError.message}`);
-                    errorCount++;
-                    results.push({
-                        success: false,
-                        error: rowError.message,
-                        rowIndex: i + 1
-                    });
-                    
-                    // Continue with next row instead of stopping the whole process
-                    continue;
-                }
-            }
-        }
-        
-        // Hide stop button after processing
-        if (stopButton) {
-            stopButton.style.display = 'none';
-        }
-        
-        // Update UI with final status
-        if (statusElement) {
-            if (stopProcessingRequested) {
-                statusElement.textContent = `Stopped: ${processedCount} rows processed, ${savedFileCount} files saved, ${errorCount} errors`;
-                statusElement.style.color = 'orange';
-            } else if (errorCount > 0) {
-                statusElement.textContent = `Completed with issues: ${processedCount} rows processed, ${savedFileCount} files saved, ${errorCount} errors`;
-                statusElement.style.color = 'orange';
-            } else {
-                statusElement.textContent = `Completed: ${processedCount} rows processed, ${savedFileCount} files saved`;
-                statusElement.style.color = '#4CAF50';
-            }
-        }
-        
-        // Clear progress
-        if (progressElement) {
-            progressElement.textContent = '';
-        }
-        
-        // Log completion statistics
-        log(`[DEBUG] CSV processing ${stopProcessingRequested ? 'stopped' : 'completed'}:`);
-        log(`[DEBUG] - Rows processed: ${processedCount} of ${csvData.length}`);
-        log(`[DEBUG] - Files saved: ${savedFileCount}`);
-        log(`[DEBUG] - Errors: ${errorCount}`);
-        
-        // Show output folder paths
-        log(`[DEBUG] Files saved to:`);
-        log(`[DEBUG] - PNG: ${folders.pngNativePath}`);
-        
-        // Write final status to MCP relay
-        try {
-            await writeToMCPRelay({
-                status: stopProcessingRequested ? 'stopped' : 'completed',
-                statistics: {
-                    totalRows: csvData.length,
-                    processedRows: processedCount,
-                    savedFiles: savedFileCount,
-                    errors: errorCount
-                },
-                timestamp: new Date().toISOString()
-            });
-        } catch (mcpError) {
-            log(`[DEBUG] Failed to write final status to MCP relay: ${mcpError.message}`);
-        }
-        
-        return {
-            success: processedCount > 0,
-            processed: processedCount,
-            total: csvData.length,
-            errors: errorCount,
-            stopped: stopProcessingRequested,
-            savedFiles: savedFileCount,
-            results
-        };
-    } catch (error) {
-        log(`[DEBUG] CSV processing failed with critical error: ${error.message}`);
-        log(`[DEBUG] Error stack: ${error.stack}`);
-        
-        // Update UI to show error
-        const statusElement = document.getElementById('textStatus');
-        if (statusElement) {
-            statusElement.textContent = `Error: ${error.message}`;
-            statusElement.style.color = 'red';
-        }
-        
-        // Hide stop button
-        const stopButton = document.getElementById('stopProcessingBtn');
-        if (stopButton) {
-            stopButton.style.display = 'none';
-        }
-        
-        throw error;
-    }
-}
\ No newline at end of file